@@ -0,0 +1,293 @@
+// Game Annotator
+// Post-game review: replays a game, compares every move with the engine's
+// choice and classifies it from the evaluation swing. Produces per-move
+// accuracy, centipawn loss per side, an evaluation graph series and annotated
+// PGN with NAGs and the engine's suggested lines as variations.
+//
+// Every engine call is awaited, so it works with ChessEngineWASM and with the
+// worker-backed ChessEngineAsync alike.
+
+if (typeof module === "object" && module.exports) {
+  require("./chess_engine_wrapper_v1_2.js");
+  require("./chess_pgn.js");
+}
+
+// Scores are clamped to this many centipawns (mates count as the ceiling) so a
+// single lost won position doesn't swamp the averages
+const ANNOTATOR_CP_CEILING = 1000;
+
+// Centipawn loss at which a move becomes an inaccuracy, mistake or blunder
+const ANNOTATOR_DEFAULT_THRESHOLDS = {
+  inaccuracy: 50,
+  mistake: 100,
+  blunder: 300,
+};
+
+const ANNOTATOR_CLASSIFICATIONS = [
+  "best",
+  "good",
+  "inaccuracy",
+  "mistake",
+  "blunder",
+];
+
+// NAGs and comment labels for the classifications worth pointing out
+const ANNOTATOR_NAGS = { inaccuracy: 6, mistake: 2, blunder: 4 };
+const ANNOTATOR_LABELS = {
+  inaccuracy: "Inaccuracy",
+  mistake: "Mistake",
+  blunder: "Blunder",
+};
+
+class ChessAnnotator {
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.depth = options.depth || 4;
+    this.thresholds = {
+      ...ANNOTATOR_DEFAULT_THRESHOLDS,
+      ...(options.thresholds || {}),
+    };
+    this.evalComments = options.evalComments !== false;
+  }
+
+  // Review a game given as a PGN string, an array of moves (UCI or SAN) or
+  // { moves, fen, headers }. options.onProgress({ ply, totalPlies }) is
+  // called after each move. Resolves with
+  //   { moves, white, black, evalGraph, pgn }
+  async annotate(input, options = {}) {
+    const { moves, fen, headers, result } = this.normalizeInput(input, options);
+
+    if (!(await this.engine.setPosition(fen))) {
+      throw new Error("Invalid FEN position");
+    }
+
+    const reviewed = [];
+    for (let index = 0; index < moves.length; index++) {
+      reviewed.push(await this.reviewMove(moves[index], index + 1));
+      if (options.onProgress) {
+        options.onProgress({ ply: index + 1, totalPlies: moves.length });
+      }
+
+      // Let the page breathe between plies on the synchronous engine
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    return {
+      moves: reviewed,
+      white: this.summarize(reviewed.filter((move) => move.color === "w")),
+      black: this.summarize(reviewed.filter((move) => move.color === "b")),
+      evalGraph: reviewed.map((move) => ({
+        ply: move.ply,
+        cp: move.evaluation.cp,
+        mate: move.evaluation.mate,
+      })),
+      pgn: this.buildPgn(reviewed, fen, headers, result),
+    };
+  }
+
+  normalizeInput(input, options) {
+    if (typeof input === "string") {
+      const parsed = ChessPGN.parse(input)[0];
+      if (!parsed) {
+        throw new Error("No game found in PGN");
+      }
+
+      const moves = [];
+      for (let node = parsed.root; node.children.length > 0; ) {
+        node = node.children[0];
+        moves.push(node.san);
+      }
+
+      return {
+        moves,
+        fen: parsed.headers.FEN || ChessEngineWASM.START_FEN,
+        headers: parsed.headers,
+        result: parsed.result,
+      };
+    }
+
+    const game = Array.isArray(input) ? { moves: input } : input;
+    return {
+      moves: game.moves || [],
+      fen: game.fen || options.fen || ChessEngineWASM.START_FEN,
+      headers: game.headers || {},
+      result: game.result || "*",
+    };
+  }
+
+  // Compare one played move with the engine's choice, then play it
+  async reviewMove(move, ply) {
+    const engine = this.engine;
+    const fenBefore = await engine.getCurrentFen();
+    const color = fenBefore.split(" ")[1];
+
+    const text = String(move).trim();
+    const played = ChessEngineWASM.UCI_MOVE_PATTERN.test(text)
+      ? text
+      : await engine.sanToMove(text);
+    const legalMoves = await engine.getLegalMoves();
+    if (!played || !legalMoves.includes(played)) {
+      throw new Error(`Illegal move at ply ${ply}: ${text}`);
+    }
+
+    const bestMove = (await engine.getBestMove(this.depth)) || played;
+    const [bestLine] = await engine.getMultiPV({
+      depth: this.depth,
+      searchMoves: [bestMove],
+    });
+    const [playedLine] =
+      played === bestMove
+        ? [bestLine]
+        : await engine.getMultiPV({ depth: this.depth, searchMoves: [played] });
+
+    // Both scores are from the mover's point of view
+    const bestCp = ChessAnnotator.clampScore(bestLine.score);
+    const playedCp = ChessAnnotator.clampScore(playedLine.score);
+    const centipawnLoss = Math.max(0, bestCp - playedCp);
+
+    if (!(await engine.makeMove(played))) {
+      throw new Error(`Illegal move at ply ${ply}: ${text}`);
+    }
+
+    const sign = color === "w" ? 1 : -1;
+    return {
+      ply,
+      color,
+      move: played,
+      san: playedLine.san,
+      bestMove,
+      bestSan: bestLine.san,
+      bestLine: bestLine.pvSan,
+      classification: this.classify(played === bestMove, centipawnLoss),
+      centipawnLoss,
+      accuracy: ChessAnnotator.moveAccuracy(bestCp, playedCp),
+      // Evaluation after the move from White's point of view, for the graph
+      evaluation: {
+        cp: sign * playedCp,
+        mate:
+          playedLine.score.mate !== undefined
+            ? sign * playedLine.score.mate
+            : undefined,
+      },
+      fen: fenBefore,
+    };
+  }
+
+  classify(isBestMove, centipawnLoss) {
+    if (isBestMove || centipawnLoss <= 0) return "best";
+    if (centipawnLoss >= this.thresholds.blunder) return "blunder";
+    if (centipawnLoss >= this.thresholds.mistake) return "mistake";
+    if (centipawnLoss >= this.thresholds.inaccuracy) return "inaccuracy";
+    return "good";
+  }
+
+  static clampScore(score) {
+    if (score.mate !== undefined) {
+      return score.mate > 0 ? ANNOTATOR_CP_CEILING : -ANNOTATOR_CP_CEILING;
+    }
+    return Math.max(
+      -ANNOTATOR_CP_CEILING,
+      Math.min(ANNOTATOR_CP_CEILING, score.cp)
+    );
+  }
+
+  // Winning chances in percent for a centipawn score
+  static winPercent(cp) {
+    return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+  }
+
+  // Move accuracy in percent from the drop in winning chances
+  static moveAccuracy(bestCp, playedCp) {
+    const drop =
+      ChessAnnotator.winPercent(bestCp) - ChessAnnotator.winPercent(playedCp);
+    if (drop <= 0) return 100;
+
+    const accuracy = 103.1668 * Math.exp(-0.04354 * drop) - 3.1669;
+    return Math.max(0, Math.min(100, accuracy));
+  }
+
+  summarize(moves) {
+    const counts = {};
+    ANNOTATOR_CLASSIFICATIONS.forEach((name) => {
+      counts[name] = 0;
+    });
+    moves.forEach((move) => {
+      counts[move.classification]++;
+    });
+
+    const average = (values) =>
+      values.length > 0
+        ? values.reduce((sum, value) => sum + value, 0) / values.length
+        : 0;
+
+    return {
+      accuracy: average(moves.map((move) => move.accuracy)),
+      averageCentipawnLoss: average(moves.map((move) => move.centipawnLoss)),
+      counts,
+    };
+  }
+
+  // Mainline with NAGs, comments and the engine's line as a variation at
+  // every inaccuracy, mistake and blunder
+  buildPgn(reviewed, fen, headers, result) {
+    const root = ChessPGN.createNode();
+    let node = root;
+
+    for (const move of reviewed) {
+      const child = ChessPGN.createNode(move.san);
+      const comments = [];
+
+      if (this.evalComments) {
+        comments.push(`[%eval ${ChessAnnotator.formatEval(move.evaluation)}]`);
+      }
+
+      const nag = ANNOTATOR_NAGS[move.classification];
+      if (nag) {
+        child.nags.push(nag);
+        comments.push(
+          `${ANNOTATOR_LABELS[move.classification]}. ${move.bestSan} was best.`
+        );
+
+        // The engine's suggestion branches off where the move was played
+        let variationNode = node;
+        for (const san of move.bestLine) {
+          const next = ChessPGN.createNode(san);
+          variationNode.children.push(next);
+          variationNode = next;
+        }
+      }
+
+      child.comment = comments.length > 0 ? comments.join(" ") : null;
+
+      // Keep the played move as the mainline ahead of the variation
+      node.children.unshift(child);
+      node = child;
+    }
+
+    const annotatedHeaders = { ...headers, Annotator: "ChessEngineWASM" };
+    if (fen !== ChessEngineWASM.START_FEN) {
+      annotatedHeaders.SetUp = "1";
+      annotatedHeaders.FEN = fen;
+    }
+
+    return ChessPGN.stringify(
+      { headers: annotatedHeaders, root, result },
+      { startFen: fen }
+    );
+  }
+
+  // Evaluation in pawns (or #mate), the way [%eval] comments expect it
+  static formatEval(evaluation) {
+    if (evaluation.mate !== undefined) {
+      return `#${evaluation.mate}`;
+    }
+    return (evaluation.cp / 100).toFixed(2);
+  }
+}
+
+// Global instance
+globalThis.ChessAnnotator = ChessAnnotator;
+if (typeof module === "object" && module.exports) {
+  module.exports = ChessAnnotator;
+  module.exports.ChessAnnotator = ChessAnnotator;
+}
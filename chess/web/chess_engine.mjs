@@ -0,0 +1,33 @@
+// ES Module Entry Point
+// The engine files are classic scripts that register globals (and CommonJS
+// exports under Node). Importing them for their side effects works on pages,
+// in workers, in bundlers and in Node alike.
+//
+// Under CommonJS each file requires the files it depends on. On pages, load
+// them with script tags in the order they are imported below.
+
+import "./chess_engine_wrapper_v1_2.js";
+import "./chess_polyglot.js";
+import "./chess_engine_async.js";
+import "./chess_engine_pool.js";
+import "./chess_engine_uci.js";
+import "./chess_pgn.js";
+import "./chess_game.js";
+import "./chess_game_session.js";
+import "./chess_annotator.js";
+import "./chess_perft_suite.js";
+
+export const {
+  ChessEngineWASM,
+  ChessEngineAsync,
+  ChessEnginePool,
+  ChessEngineUCI,
+  ChessPGN,
+  ChessGame,
+  ChessGameSession,
+  ChessAnnotator,
+  PolyglotBook,
+  PERFT_SUITE,
+} = globalThis;
+
+export default ChessEngineWASM;
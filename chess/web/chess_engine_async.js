@@ -0,0 +1,491 @@
+// Asynchronous Chess Engine
+// Runs ChessEngineWASM inside a Web Worker (chess_engine_worker.js) so searches
+// never block the page. Mirrors the wrapper API, but every call returns a promise.
+// Under Node the worker runs on worker_threads instead.
+
+if (typeof module === "object" && module.exports) {
+  require("./chess_engine_wrapper_v1_2.js");
+}
+
+// Upper bound for iterative deepening when only a time limit is given
+const MAX_SEARCH_DEPTH = 64;
+
+class ChessEngineAsync {
+  constructor(options = {}) {
+    this.worker = null;
+    this.workerUrl = options.workerUrl || null;
+    this.isReady = false;
+    this.isInitialized = false;
+
+    // Set once the wasm module trapped; the instance should be replaced
+    this.crashed = false;
+
+    this.nextMessageId = 1;
+    this.pendingCalls = new Map();
+    this.activeSearches = new Map();
+  }
+
+  async loadModule(baseUrl = ChessEngineWASM.defaultBaseUrl()) {
+    try {
+      const normalizedBaseUrl = ChessEngineAsync.resolveBaseUrl(baseUrl);
+      const workerUrl =
+        this.workerUrl || `${normalizedBaseUrl}/chess_engine_worker.js`;
+
+      console.log(`🧵 Starting chess engine worker: ${workerUrl}`);
+
+      this.crashed = false;
+      this.worker = this.createWorker(workerUrl);
+
+      this.isReady = await this.call("loadModule", [normalizedBaseUrl]);
+      return this.isReady;
+    } catch (error) {
+      console.error("❌ Failed to start chess engine worker:", error);
+      return false;
+    }
+  }
+
+  // The worker resolves relative URLs against its own location, not the page,
+  // so hand it an absolute base (a file path under Node)
+  static resolveBaseUrl(baseUrl) {
+    let absoluteBaseUrl;
+    if (ChessEngineWASM.isNode()) {
+      const path = baseUrl.startsWith("file:")
+        ? require("url").fileURLToPath(baseUrl)
+        : baseUrl;
+      absoluteBaseUrl = require("path").resolve(path);
+    } else {
+      absoluteBaseUrl = new URL(baseUrl, self.location.href).href;
+    }
+
+    return absoluteBaseUrl.endsWith("/")
+      ? absoluteBaseUrl.slice(0, -1)
+      : absoluteBaseUrl;
+  }
+
+  createWorker(workerUrl) {
+    if (!ChessEngineWASM.isNode()) {
+      const worker = new Worker(workerUrl);
+      worker.onmessage = (event) => this.handleMessage(event.data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        this.handleWorkerFailure(
+          new Error(event.message || "Chess engine worker failed")
+        );
+      };
+      return worker;
+    }
+
+    // worker_threads reports through events rather than handler properties
+    const { Worker: NodeWorker } = require("worker_threads");
+    const worker = new NodeWorker(workerUrl);
+    worker.on("message", (message) => this.handleMessage(message));
+    worker.on("error", (error) => this.handleWorkerFailure(error));
+    worker.on("exit", () => {
+      if (this.worker === worker) {
+        this.handleWorkerFailure(new Error("Chess engine worker exited"));
+      }
+    });
+    return worker;
+  }
+
+  // The worker died: nothing it was doing will ever answer, and nothing sent
+  // to it from now on would either
+  handleWorkerFailure(error) {
+    const worker = this.worker;
+    this.worker = null;
+    this.isReady = false;
+    this.isInitialized = false;
+    this.crashed = true;
+    if (worker) worker.terminate();
+    this.rejectAll(error);
+  }
+
+  terminate() {
+    if (!this.worker) return;
+
+    this.worker.terminate();
+    this.worker = null;
+    this.isReady = false;
+    this.isInitialized = false;
+    this.rejectAll(new Error("Chess engine worker terminated"));
+  }
+
+  // Worker messaging
+  post(type, payload = {}) {
+    if (!this.worker) {
+      return Promise.reject(new Error("Engine worker not started"));
+    }
+
+    const id = this.nextMessageId++;
+    return new Promise((resolve, reject) => {
+      this.pendingCalls.set(id, { resolve, reject, onProgress: null });
+      this.worker.postMessage({ id, type, ...payload });
+    });
+  }
+
+  call(method, args = []) {
+    return this.post("call", { method, args });
+  }
+
+  handleMessage(message) {
+    const pending = this.pendingCalls.get(message.id);
+    if (!pending) {
+      // Searches resolved early by stop() still report back; nobody is waiting
+      return;
+    }
+
+    switch (message.type) {
+      case "progress":
+        if (pending.onProgress) pending.onProgress(message.info);
+        break;
+      case "result":
+        this.pendingCalls.delete(message.id);
+        pending.resolve(message.value);
+        break;
+      case "error":
+        this.pendingCalls.delete(message.id);
+        if (message.crashed) this.crashed = true;
+        pending.reject(new Error(message.message));
+        break;
+    }
+  }
+
+  rejectAll(error) {
+    const pending = [...this.pendingCalls.values()];
+    this.pendingCalls.clear();
+    this.activeSearches.clear();
+    pending.forEach(({ reject }) => reject(error));
+  }
+
+  // High-level API methods
+  async init() {
+    if (!this.isReady) {
+      throw new Error("WASM module not loaded yet");
+    }
+
+    this.isInitialized = await this.call("init");
+    return this.isInitialized;
+  }
+
+  async cleanup() {
+    await this.call("cleanup");
+    this.isInitialized = false;
+  }
+
+  setPosition(fen) {
+    return this.call("setPosition", [fen]);
+  }
+
+  makeMove(move) {
+    return this.call("makeMove", [move]);
+  }
+
+  undoMove() {
+    return this.call("undoMove");
+  }
+
+  getLegalMoves() {
+    return this.call("getLegalMoves");
+  }
+
+  isCheckmate() {
+    return this.call("isCheckmate");
+  }
+
+  isStalemate() {
+    return this.call("isStalemate");
+  }
+
+  isInCheck() {
+    return this.call("isInCheck");
+  }
+
+  evaluatePosition() {
+    return this.call("evaluatePosition");
+  }
+
+  getCurrentFen() {
+    return this.call("getCurrentFen");
+  }
+
+  moveToSan(move) {
+    return this.call("moveToSan", [move]);
+  }
+
+  sanToMove(san) {
+    return this.call("sanToMove", [san]);
+  }
+
+  getLegalMovesSan() {
+    return this.call("getLegalMovesSan");
+  }
+
+  getHalfmoveClock() {
+    return this.call("getHalfmoveClock");
+  }
+
+  getRepetitionCount() {
+    return this.call("getRepetitionCount");
+  }
+
+  isInsufficientMaterial() {
+    return this.call("isInsufficientMaterial");
+  }
+
+  getGameResult(options = {}) {
+    return this.call("getGameResult", [options]);
+  }
+
+  getMultiPV(options = {}) {
+    return this.call("getMultiPV", [options]);
+  }
+
+  // Book sources given as URLs are resolved against the page, not the worker
+  // (under Node, file paths are relative to the shared working directory)
+  loadOpeningBook(source, options = {}) {
+    const resolvedSource =
+      typeof source === "string" && !ChessEngineWASM.isNode()
+        ? new URL(source, self.location.href).href
+        : source;
+    return this.call("loadOpeningBook", [resolvedSource, options]);
+  }
+
+  unloadOpeningBook() {
+    return this.call("unloadOpeningBook");
+  }
+
+  setBookOptions(options = {}) {
+    return this.call("setBookOptions", [options]);
+  }
+
+  getBookMoves() {
+    return this.call("getBookMoves");
+  }
+
+  getBookMove() {
+    return this.call("getBookMove");
+  }
+
+  perft(depth) {
+    return this.call("perft", [depth]);
+  }
+
+  divide(depth) {
+    return this.call("divide", [depth]);
+  }
+
+  // Search limits: a plain number is a depth, otherwise an object with
+  // depth, movetime (ms), deadline (Date.now() timestamp), signal and onProgress
+  normalizeSearchOptions(options) {
+    const limits = typeof options === "number" ? { depth: options } : options;
+    const { movetime, signal, onProgress } = limits;
+    let { depth, deadline } = limits;
+
+    if (movetime !== undefined) {
+      const movetimeDeadline = Date.now() + movetime;
+      deadline =
+        deadline === undefined
+          ? movetimeDeadline
+          : Math.min(deadline, movetimeDeadline);
+    }
+
+    if (depth === undefined) {
+      depth = deadline === undefined ? 4 : MAX_SEARCH_DEPTH;
+    }
+
+    return { depth, deadline, signal, onProgress };
+  }
+
+  // Iterative deepening search. Resolves with
+  // { bestMove, depth, time, stopped } where depth is the last completed depth.
+  search(options = 4) {
+    if (!this.isInitialized) {
+      return Promise.reject(new Error("Engine not initialized"));
+    }
+
+    const { depth, deadline, signal, onProgress } =
+      this.normalizeSearchOptions(options);
+
+    const id = this.nextMessageId++;
+    const search = {
+      id,
+      bestMove: null,
+      depth: 0,
+      startTime: Date.now(),
+      timer: null,
+      onAbort: null,
+      resolve: null,
+      finishRequested: false,
+      finished: null,
+    };
+
+    const finished = new Promise((resolve, reject) => {
+      const settle = (callback) => (value) => {
+        clearTimeout(search.timer);
+        if (signal && search.onAbort) {
+          signal.removeEventListener("abort", search.onAbort);
+        }
+        this.activeSearches.delete(id);
+        callback(value);
+      };
+
+      search.resolve = settle(resolve);
+      this.pendingCalls.set(id, {
+        resolve: search.resolve,
+        reject: settle(reject),
+        onProgress: (info) => {
+          search.bestMove = info.bestMove;
+          search.depth = info.depth;
+          if (onProgress) onProgress(info);
+          if (search.finishRequested) this.finishSearch(search);
+        },
+      });
+    });
+    search.finished = finished;
+
+    this.activeSearches.set(id, search);
+    this.worker.postMessage({ id, type: "search", depth, deadline });
+
+    // Already aborted: the worker still finishes depth 1, then stops
+    if (signal && signal.aborted) {
+      this.finishSearch(search);
+      return finished;
+    }
+
+    if (signal) {
+      search.onAbort = () => this.finishSearch(search);
+      signal.addEventListener("abort", search.onAbort);
+    }
+
+    if (deadline !== undefined) {
+      search.timer = setTimeout(
+        () => this.finishSearch(search),
+        Math.max(0, deadline - Date.now())
+      );
+    }
+
+    return finished;
+  }
+
+  // Resolve a running search with what it has found so far and tell the
+  // worker not to start another depth. The worker always completes depth 1;
+  // until it has, the search stays open so it still resolves with a move.
+  finishSearch(search) {
+    if (!this.activeSearches.has(search.id)) return;
+
+    if (!search.finishRequested && this.worker) {
+      this.worker.postMessage({ id: search.id, type: "stop" });
+    }
+    search.finishRequested = true;
+    if (search.depth === 0) return;
+
+    this.pendingCalls.delete(search.id);
+
+    search.resolve({
+      bestMove: search.bestMove,
+      depth: search.depth,
+      time: Date.now() - search.startTime,
+      stopped: true,
+    });
+  }
+
+  // Stop every running search. Resolves with the best move found so far by
+  // the search that was running first, or null when nothing was searching.
+  async stop() {
+    const searches = [...this.activeSearches.values()];
+    searches.forEach((search) => this.finishSearch(search));
+    if (searches.length === 0) return null;
+
+    try {
+      return (await searches[0].finished).bestMove;
+    } catch (error) {
+      return searches[0].bestMove;
+    }
+  }
+
+  async getBestMove(options = 4) {
+    const result = await this.search(options);
+    return result.bestMove;
+  }
+
+  async getBestMoveSan(options = 4) {
+    const move = await this.getBestMove(options);
+    return move ? this.moveToSan(move) : null;
+  }
+
+  // Book move when there is one, otherwise a search with the given limits
+  async getBookOrBestMove(options = 4) {
+    const bookMove = await this.getBookMove();
+    if (bookMove) {
+      return { move: bookMove, fromBook: true };
+    }
+    return { move: await this.getBestMove(options), fromBook: false };
+  }
+
+  // Comprehensive analysis method
+  // Besides the search limits, options.multiPV / options.searchMoves add ranked
+  // lines searched to the depth the main search reached (see getMultiPV)
+  async analyzePosition(fen, options = 4) {
+    try {
+      if (!(await this.setPosition(fen))) {
+        return { error: "Invalid FEN position" };
+      }
+
+      const result = await this.search(options);
+      const [
+        evaluation,
+        legalMoves,
+        isCheckmate,
+        isStalemate,
+        isInCheck,
+        gameResult,
+        currentFen,
+      ] = await Promise.all([
+        this.evaluatePosition(),
+        this.getLegalMoves(),
+        this.isCheckmate(),
+        this.isStalemate(),
+        this.isInCheck(),
+        this.getGameResult(),
+        this.getCurrentFen(),
+      ]);
+
+      const analysis = {
+        success: true,
+        bestMove: result.bestMove,
+        evaluation,
+        legalMoves,
+        moveCount: legalMoves.length,
+        gameState: {
+          isCheckmate,
+          isStalemate,
+          isInCheck,
+          gameResult,
+        },
+        depth: result.depth,
+        stopped: result.stopped,
+        time: result.time,
+        fen: currentFen,
+      };
+
+      if (options.multiPV || options.searchMoves) {
+        analysis.lines = await this.getMultiPV({
+          multiPV: options.multiPV,
+          depth: Math.max(1, result.depth),
+          searchMoves: options.searchMoves,
+        });
+      }
+
+      return analysis;
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+}
+
+// Global instance
+globalThis.ChessEngineAsync = ChessEngineAsync;
+if (typeof module === "object" && module.exports) {
+  module.exports = ChessEngineAsync;
+  module.exports.ChessEngineAsync = ChessEngineAsync;
+}
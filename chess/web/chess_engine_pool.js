@@ -0,0 +1,252 @@
+// Chess Engine Pool
+// Batch analysis across several engines at once. Each engine is a
+// ChessEngineAsync (chess_engine_async.js) with its own worker and its own wasm
+// module instance, so positions are analyzed in parallel instead of one at a
+// time. Works on pages and headless under Node (worker_threads).
+//
+// Jobs never reject once the pool is running: failures resolve with { error }
+// like analyzePosition itself. An engine that trapped or overran its timeout
+// is terminated and replaced before it takes another job.
+
+if (typeof module === "object" && module.exports) {
+  require("./chess_engine_async.js");
+}
+
+// Jobs a stream keeps queued per engine ahead of the consumer
+const POOL_PENDING_PER_ENGINE = 4;
+
+class ChessEnginePool {
+  // options:
+  //   size         - number of engines (defaults to the number of cores)
+  //   baseUrl      - passed to ChessEngineAsync.loadModule
+  //   workerUrl    - passed to the ChessEngineAsync constructor
+  //   timeout      - default per-job time limit in ms (none by default)
+  //   maxRetries   - times a job is retried on a fresh engine after a trap
+  //   maxPending   - jobs analyzeStream keeps in flight ahead of the consumer
+  //   createEngine - async factory returning a ready engine, replacing the
+  //                  default ChessEngineAsync setup
+  constructor(options = {}) {
+    this.size = options.size || ChessEnginePool.defaultSize();
+    this.baseUrl = options.baseUrl;
+    this.workerUrl = options.workerUrl || null;
+    this.timeout = options.timeout || null;
+    this.maxRetries =
+      options.maxRetries !== undefined ? options.maxRetries : 1;
+    this.maxPending =
+      options.maxPending || this.size * POOL_PENDING_PER_ENGINE;
+    this.engineFactory = options.createEngine || null;
+
+    this.slots = [];
+    this.queue = [];
+    this.isStarted = false;
+  }
+
+  static defaultSize() {
+    if (typeof navigator !== "undefined" && navigator.hardwareConcurrency) {
+      return navigator.hardwareConcurrency;
+    }
+    if (ChessEngineWASM.isNode()) {
+      return require("os").cpus().length || 1;
+    }
+    return 2;
+  }
+
+  async createEngine() {
+    if (this.engineFactory) {
+      return this.engineFactory();
+    }
+
+    const engine = new ChessEngineAsync({ workerUrl: this.workerUrl });
+    if (!(await engine.loadModule(this.baseUrl)) || !(await engine.init())) {
+      engine.terminate();
+      throw new Error("Failed to start pool engine");
+    }
+    return engine;
+  }
+
+  async start() {
+    try {
+      console.log(`🧵 Starting engine pool with ${this.size} engines...`);
+
+      const started = await Promise.allSettled(
+        Array.from({ length: this.size }, () => this.createEngine())
+      );
+      const failure = started.find(({ status }) => status === "rejected");
+      if (failure) {
+        started
+          .filter(({ status }) => status === "fulfilled")
+          .forEach(({ value }) => value.terminate());
+        throw failure.reason;
+      }
+
+      this.slots = started.map(({ value }) => ({ engine: value, job: null }));
+      this.isStarted = true;
+      console.log("🚀 Engine pool ready");
+      return true;
+    } catch (error) {
+      console.error("❌ Failed to start engine pool:", error);
+      return false;
+    }
+  }
+
+  // Stop every engine; queued jobs resolve with an error. Under Node the
+  // workers keep the process alive until this is called.
+  terminate() {
+    this.isStarted = false;
+    this.slots.forEach((slot) => {
+      if (slot.engine) slot.engine.terminate();
+    });
+    this.slots = [];
+
+    const queued = this.queue.splice(0);
+    queued.forEach((job) => job.resolve({ error: "Engine pool terminated" }));
+  }
+
+  get queuedJobs() {
+    return this.queue.length;
+  }
+
+  get runningJobs() {
+    return this.slots.filter((slot) => slot.job).length;
+  }
+
+  // Analyze one position on the next free engine. options are the
+  // analyzePosition search options (a depth, or { depth, movetime, multiPV,
+  // ... }) plus timeout, overriding the pool's per-job time limit.
+  analyze(fen, options = 4) {
+    if (!this.isStarted) {
+      return Promise.reject(new Error("Engine pool not started"));
+    }
+
+    const { timeout = this.timeout, ...searchOptions } =
+      typeof options === "number" ? { depth: options } : options;
+
+    return new Promise((resolve) => {
+      this.queue.push({ fen, searchOptions, timeout, attempts: 0, resolve });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    for (const slot of this.slots) {
+      if (this.queue.length === 0) break;
+      if (!slot.job && slot.engine) {
+        this.runJob(slot, this.queue.shift());
+      }
+    }
+  }
+
+  async runJob(slot, job) {
+    const { engine } = slot;
+    slot.job = job;
+    job.attempts++;
+
+    let timer = null;
+    const timedOut = new Promise((resolve) => {
+      if (job.timeout) {
+        timer = setTimeout(() => resolve(null), job.timeout);
+      }
+    });
+
+    let result = await Promise.race([
+      engine.analyzePosition(job.fen, job.searchOptions),
+      timedOut,
+    ]);
+    clearTimeout(timer);
+
+    // The wasm search cannot be interrupted, so an overrunning engine is
+    // thrown away along with a trapped one
+    const needsRestart = result === null || engine.crashed;
+    if (result === null) {
+      result = { error: `Analysis timed out after ${job.timeout} ms` };
+    }
+
+    if (needsRestart && this.isStarted) {
+      console.log(`♻️ Replacing pool engine: ${result.error}`);
+      await this.replaceEngine(slot);
+    }
+    slot.job = null;
+
+    // A trap may be the engine's fault rather than the position's
+    if (engine.crashed && this.isStarted && job.attempts <= this.maxRetries) {
+      this.queue.unshift(job);
+    } else {
+      job.resolve(result);
+    }
+
+    this.dispatch();
+  }
+
+  async replaceEngine(slot) {
+    const crashed = slot.engine;
+    slot.engine = null;
+    crashed.terminate();
+
+    try {
+      const engine = await this.createEngine();
+      if (!this.isStarted) {
+        engine.terminate();
+        return;
+      }
+      slot.engine = engine;
+    } catch (error) {
+      console.error("❌ Failed to replace pool engine:", error);
+      this.slots.splice(this.slots.indexOf(slot), 1);
+
+      if (this.slots.length === 0) {
+        this.terminate();
+      }
+    }
+  }
+
+  // Analyze a list, or any (async) iterable, of FENs and yield the results in
+  // input order. Positions are only read from the source while fewer than
+  // maxPending are waiting, so a slow consumer holds back the producer.
+  // options.onProgress({ completed, total, index, fen, result }) reports each
+  // finished position as it completes; total is known for arrays only.
+  async *analyzeStream(fens, options = 4) {
+    const { onProgress, ...analysisOptions } =
+      typeof options === "number" ? { depth: options } : options;
+    const total = Array.isArray(fens) ? fens.length : undefined;
+    const pending = [];
+    let submitted = 0;
+    let completed = 0;
+
+    for await (const fen of fens) {
+      const index = submitted++;
+      pending.push(
+        this.analyze(fen, analysisOptions).then((result) => {
+          completed++;
+          if (onProgress) {
+            onProgress({ completed, total, index, fen, result });
+          }
+          return result;
+        })
+      );
+
+      if (pending.length >= this.maxPending) {
+        yield await pending.shift();
+      }
+    }
+
+    while (pending.length > 0) {
+      yield await pending.shift();
+    }
+  }
+
+  // analyzeStream collected into an array, in input order
+  async analyzeAll(fens, options = 4) {
+    const results = [];
+    for await (const result of this.analyzeStream(fens, options)) {
+      results.push(result);
+    }
+    return results;
+  }
+}
+
+// Global instance
+globalThis.ChessEnginePool = ChessEnginePool;
+if (typeof module === "object" && module.exports) {
+  module.exports = ChessEnginePool;
+  module.exports.ChessEnginePool = ChessEnginePool;
+}
@@ -0,0 +1,341 @@
+// UCI Protocol Adapter
+// Translates Universal Chess Interface commands into ChessEngineWASM calls so
+// the engine can be driven by standard chess GUIs and tournament managers.
+
+if (typeof module === "object" && module.exports) {
+  require("./chess_engine_wrapper_v1_2.js");
+}
+
+// Iterative deepening cap for "go infinite" and clock-based searches
+const UCI_MAX_DEPTH = 64;
+
+// Fallback when "go" gives no limits at all
+const UCI_DEFAULT_DEPTH = 4;
+
+const UCI_MAX_MULTI_PV = 256;
+
+// Words that end a "go searchmoves" move list
+const UCI_GO_KEYWORDS = [
+  "searchmoves",
+  "ponder",
+  "wtime",
+  "btime",
+  "winc",
+  "binc",
+  "movestogo",
+  "depth",
+  "nodes",
+  "mate",
+  "movetime",
+  "infinite",
+];
+
+class ChessEngineUCI {
+  constructor(engine, output = (line) => console.log(line), options = {}) {
+    this.engine = engine;
+    this.output = output;
+    this.name = options.name || "ChessEngineWASM";
+    this.author = options.author || "shimakaze09";
+    this.onQuit = options.onQuit || null;
+
+    this.multiPV = 1;
+
+    this.queue = Promise.resolve();
+    this.currentSearch = null;
+  }
+
+  // Accept one line of input. Commands run in order; stop, isready and quit
+  // are also answered straight away while a search is running.
+  receive(line) {
+    const tokens = line.trim().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) {
+      return this.queue;
+    }
+
+    const [command, ...args] = tokens;
+    switch (command) {
+      case "stop":
+        if (this.currentSearch) {
+          this.stopSearch();
+        } else {
+          this.queue = this.queue.then(() => this.stopSearch());
+        }
+        return this.queue;
+      case "isready":
+        if (this.currentSearch) {
+          this.output("readyok");
+        } else {
+          this.queue = this.queue.then(() => this.output("readyok"));
+        }
+        return this.queue;
+      case "quit":
+        this.stopSearch();
+        this.queue = this.queue.then(async () => {
+          this.stopSearch();
+          if (this.currentSearch) await this.currentSearch.finished;
+          if (this.onQuit) this.onQuit();
+        });
+        return this.queue;
+      default:
+        this.queue = this.queue
+          .then(() => this.runCommand(command, args))
+          .catch((error) => this.output(`info string error ${error.message}`));
+        return this.queue;
+    }
+  }
+
+  async runCommand(command, args) {
+    // Position changes must not land in the middle of a search
+    if (this.currentSearch) {
+      await this.currentSearch.finished;
+    }
+
+    switch (command) {
+      case "uci":
+        this.output(`id name ${this.name}`);
+        this.output(`id author ${this.author}`);
+        this.output(
+          `option name MultiPV type spin default 1 min 1 max ${UCI_MAX_MULTI_PV}`
+        );
+        this.output("uciok");
+        break;
+      case "ucinewgame":
+        this.engine.setPosition(ChessEngineWASM.START_FEN);
+        break;
+      case "position":
+        this.handlePosition(args);
+        break;
+      case "go":
+        this.startSearch(this.parseGoLimits(args));
+        break;
+      case "setoption":
+        this.handleSetOption(args);
+        break;
+      case "debug":
+      case "register":
+        // No debug mode or registration; accepted and ignored
+        break;
+      default:
+        this.output(`info string unknown command ${command}`);
+    }
+  }
+
+  // position startpos|fen <fen> [moves <m1> <m2> ...]
+  handlePosition(args) {
+    const movesIndex = args.indexOf("moves");
+    const positionArgs = movesIndex === -1 ? args : args.slice(0, movesIndex);
+    const moves = movesIndex === -1 ? [] : args.slice(movesIndex + 1);
+
+    let fen;
+    if (positionArgs[0] === "startpos") {
+      fen = ChessEngineWASM.START_FEN;
+    } else if (positionArgs[0] === "fen") {
+      fen = positionArgs.slice(1).join(" ");
+    } else {
+      this.output("info string invalid position command");
+      return;
+    }
+
+    if (!this.engine.setPosition(fen)) {
+      this.output(`info string invalid fen ${fen}`);
+      return;
+    }
+
+    for (const move of moves) {
+      if (!this.engine.makeMove(move)) {
+        this.output(`info string illegal move ${move}`);
+        return;
+      }
+    }
+  }
+
+  // setoption name <id> [value <x>]
+  handleSetOption(args) {
+    const valueIndex = args.indexOf("value");
+    const name = args
+      .slice(1, valueIndex === -1 ? args.length : valueIndex)
+      .join(" ");
+    const value = valueIndex === -1 ? "" : args.slice(valueIndex + 1).join(" ");
+
+    // Option names are case-insensitive
+    if (name.toLowerCase() === "multipv") {
+      const multiPV = parseInt(value, 10);
+      if (multiPV >= 1 && multiPV <= UCI_MAX_MULTI_PV) {
+        this.multiPV = multiPV;
+      }
+    } else {
+      this.output(`info string unsupported option ${name}`);
+    }
+  }
+
+  parseGoLimits(args) {
+    const limits = {};
+    for (let i = 0; i < args.length; i++) {
+      const key = args[i];
+      switch (key) {
+        case "depth":
+        case "movetime":
+        case "wtime":
+        case "btime":
+        case "winc":
+        case "binc":
+        case "movestogo":
+          limits[key] = parseInt(args[++i], 10);
+          break;
+        case "infinite":
+          limits.infinite = true;
+          break;
+        case "searchmoves":
+          limits.searchMoves = [];
+          while (i + 1 < args.length && !UCI_GO_KEYWORDS.includes(args[i + 1])) {
+            limits.searchMoves.push(args[++i]);
+          }
+          break;
+      }
+    }
+    return limits;
+  }
+
+  // Time budget for this move from the clock, or undefined when not on a clock
+  allocateTime(limits, sideToMove) {
+    const time = sideToMove === "w" ? limits.wtime : limits.btime;
+    if (time === undefined || Number.isNaN(time)) {
+      return undefined;
+    }
+
+    return ChessEngineWASM.allocateTime({
+      time,
+      increment: (sideToMove === "w" ? limits.winc : limits.binc) || 0,
+      movesToGo: limits.movestogo || undefined,
+    });
+  }
+
+  startSearch(limits) {
+    const sideToMove = this.engine.getCurrentFen().split(" ")[1] || "w";
+
+    let movetime = limits.movetime;
+    if (movetime === undefined) {
+      movetime = this.allocateTime(limits, sideToMove);
+    }
+
+    let maxDepth = limits.depth;
+    if (maxDepth === undefined) {
+      maxDepth =
+        limits.infinite || movetime !== undefined
+          ? UCI_MAX_DEPTH
+          : UCI_DEFAULT_DEPTH;
+    }
+
+    const search = {
+      searchMoves: limits.searchMoves || null,
+      stopped: false,
+      infinite: Boolean(limits.infinite),
+      deadline: movetime !== undefined ? Date.now() + movetime : undefined,
+      resumeAfterStop: null,
+      finished: null,
+    };
+
+    this.currentSearch = search;
+    search.finished = this.runSearch(search, maxDepth).finally(
+      () => {
+        this.currentSearch = null;
+      }
+    );
+  }
+
+  stopSearch() {
+    const search = this.currentSearch;
+    if (!search) return;
+
+    search.stopped = true;
+    if (search.resumeAfterStop) search.resumeAfterStop();
+  }
+
+  // Iterative deepening (see ChessEngineWASM.iterativeDeepening); stop and the
+  // deadline are checked between depths
+  async runSearch(search, maxDepth) {
+    const startTime = Date.now();
+    let bestMove = null;
+
+    try {
+      await this.engine.iterativeDeepening({
+        maxDepth,
+        deadline: search.deadline,
+        shouldStop: () => search.stopped,
+        searchDepth: (depth) => this.searchDepth(search, depth, startTime),
+        onDepth: (info) => {
+          bestMove = info.bestMove;
+        },
+      });
+    } catch (error) {
+      // Report it and answer with what we have; the GUI waits for bestmove
+      this.output(`info string error ${error.message}`);
+    }
+
+    // In infinite mode bestmove may only be sent once the GUI says stop
+    if (search.infinite && !search.stopped) {
+      await new Promise((resolve) => {
+        search.resumeAfterStop = resolve;
+      });
+    }
+
+    this.output(`bestmove ${bestMove || "0000"}`);
+  }
+
+  // Search one depth, report it with info lines and return the best move
+  searchDepth(search, depth, startTime) {
+    if (this.multiPV === 1 && !search.searchMoves) {
+      const move = this.engine.getBestMove(depth);
+      if (move) {
+        this.output(
+          `info depth ${depth} score ${this.scoreMove(move)} time ${
+            Date.now() - startTime
+          } pv ${move}`
+        );
+      }
+      return move;
+    }
+
+    const lines = this.engine.getMultiPV({
+      multiPV: this.multiPV,
+      depth,
+      searchMoves: search.searchMoves,
+    });
+    const time = Date.now() - startTime;
+    for (const line of lines) {
+      const score =
+        line.score.mate !== undefined
+          ? `mate ${line.score.mate}`
+          : `cp ${line.score.cp}`;
+      this.output(
+        `info depth ${depth} multipv ${line.rank} score ${score} time ${time} pv ${line.pv.join(" ")}`
+      );
+    }
+    return lines.length > 0 ? lines[0].move : null;
+  }
+
+  // Score after playing the move, from the mover's point of view.
+  // evaluatePosition() scores for the side to move, which is now the opponent.
+  scoreMove(move) {
+    if (!this.engine.makeMove(move)) {
+      return "cp 0";
+    }
+
+    try {
+      if (this.engine.isCheckmate()) {
+        return "mate 1";
+      }
+
+      return `cp ${-this.engine.evaluatePosition()}`;
+    } finally {
+      this.engine.undoMove();
+    }
+  }
+}
+
+// Global instance
+globalThis.ChessEngineUCI = ChessEngineUCI;
+if (typeof module === "object" && module.exports) {
+  module.exports = ChessEngineUCI;
+  module.exports.ChessEngineUCI = ChessEngineUCI;
+}
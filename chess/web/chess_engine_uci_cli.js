@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// UCI Executable
+// Runs the WASM engine as a UCI engine over stdin/stdout:
+//   node chess_engine_uci_cli.js
+
+const readline = require("readline");
+
+const ChessEngineWASM = require("./chess_engine_wrapper_v1_2.js");
+const ChessEngineUCI = require("./chess_engine_uci.js");
+
+async function main() {
+  const engine = new ChessEngineWASM();
+
+  // stdout belongs to the protocol; the wrapper's progress messages go to stderr
+  const loaded = await engine.loadModule(__dirname, { log: console.error });
+  if (!loaded || !(await engine.init())) {
+    console.error("❌ Chess engine failed to start");
+    process.exit(1);
+  }
+
+  const uci = new ChessEngineUCI(
+    engine,
+    (line) => process.stdout.write(`${line}\n`),
+    {
+      onQuit: () => {
+        engine.cleanup();
+        process.exit(0);
+      },
+    }
+  );
+
+  const input = readline.createInterface({ input: process.stdin });
+  input.on("line", (line) => uci.receive(line));
+  input.on("close", () => uci.receive("quit"));
+}
+
+main();
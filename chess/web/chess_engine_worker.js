@@ -0,0 +1,111 @@
+// Chess Engine Web Worker
+// Hosts a ChessEngineWASM instance off the page thread. Driven by ChessEngineAsync
+// (chess_engine_async.js) through a small id-tagged message protocol.
+
+if (typeof importScripts === "function") {
+  importScripts("chess_engine_wrapper_v1_2.js");
+} else {
+  // Node runs this script on worker_threads; provide the Web Worker globals
+  const { parentPort } = require("worker_threads");
+  require("./chess_engine_wrapper_v1_2.js");
+
+  globalThis.self = globalThis;
+  self.postMessage = (message) => parentPort.postMessage(message);
+  parentPort.on("message", (message) => self.onmessage({ data: message }));
+}
+
+const engine = new ChessEngineWASM();
+
+// Methods the page may call directly on the wrapped engine
+const CALLABLE_METHODS = new Set([
+  "loadModule",
+  "init",
+  "cleanup",
+  "setPosition",
+  "makeMove",
+  "undoMove",
+  "getLegalMoves",
+  "isCheckmate",
+  "isStalemate",
+  "isInCheck",
+  "evaluatePosition",
+  "getCurrentFen",
+  "moveToSan",
+  "sanToMove",
+  "getLegalMovesSan",
+  "getHalfmoveClock",
+  "getRepetitionCount",
+  "isInsufficientMaterial",
+  "getGameResult",
+  "getMultiPV",
+  "loadOpeningBook",
+  "unloadOpeningBook",
+  "setBookOptions",
+  "getBookMoves",
+  "getBookMove",
+  "perft",
+  "divide",
+]);
+
+// Ids of searches the page asked to stop before they finished
+const stopRequests = new Set();
+
+// Calls are serialized so nothing can touch the position while a search runs
+let queue = Promise.resolve();
+
+async function callMethod(method, args) {
+  if (!CALLABLE_METHODS.has(method)) {
+    throw new Error(`Unknown engine method: ${method}`);
+  }
+  return engine[method](...args);
+}
+
+// Iterative deepening (see ChessEngineWASM.iterativeDeepening); stop requests
+// are picked up between depths, with progress reported after each one
+async function runSearch(id, { depth, deadline }) {
+  const result = await engine.iterativeDeepening({
+    maxDepth: depth,
+    deadline,
+    shouldStop: () => stopRequests.has(id),
+    onDepth: (info) => self.postMessage({ id, type: "progress", info }),
+  });
+
+  return { ...result, stopped: stopRequests.delete(id) };
+}
+
+async function handleMessage(message) {
+  const { id, type } = message;
+
+  try {
+    let value;
+    if (type === "call") {
+      value = await callMethod(message.method, message.args || []);
+    } else if (type === "search") {
+      value = await runSearch(id, message);
+    } else {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+
+    self.postMessage({ id, type: "result", value });
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: "error",
+      message: error && error.message ? error.message : String(error),
+      // A trap leaves the wasm module unusable; the page has to replace us
+      crashed: error instanceof WebAssembly.RuntimeError,
+    });
+  }
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  // Stop requests bypass the queue, otherwise they would wait for the search
+  if (message.type === "stop") {
+    stopRequests.add(message.id);
+    return;
+  }
+
+  queue = queue.then(() => handleMessage(message));
+};
@@ -1,7 +1,30 @@
 // Chess Engine WebAssembly Wrapper for Chess.com
 // This file handles the WebAssembly module loading and provides a clean JavaScript interface
 
+// Standard starting position
+const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+// Coordinate (UCI) move and Standard Algebraic Notation patterns
+const UCI_MOVE_PATTERN = /^[a-h][1-8][a-h][1-8][nbrq]?$/;
+const SAN_MOVE_PATTERN =
+  /^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQ]))?$/;
+
+// Initial sizes of the buffers the C API writes strings into. They are grown
+// as needed, up to MAX_STRING_BUFFER_SIZE.
+const BEST_MOVE_BUFFER_SIZE = 32;
+const LEGAL_MOVES_BUFFER_SIZE = 4096;
+const FEN_BUFFER_SIZE = 128;
+const MAX_STRING_BUFFER_SIZE = 1 << 20;
+
+// Time management for clock-based searches: moves assumed left in the game
+// when the clock doesn't say, and a safety margin kept for latency (ms)
+const DEFAULT_MOVES_TO_GO = 30;
+const MOVE_OVERHEAD = 50;
+
 class ChessEngineWASM {
+  static START_FEN = START_FEN;
+  static UCI_MOVE_PATTERN = UCI_MOVE_PATTERN;
+
   constructor() {
     this.module = null;
     this.isReady = false;
@@ -24,50 +47,70 @@ class ChessEngineWASM {
     this._malloc = null;
     this._free = null;
     this._decodeCString = null;
+
+    // One entry per position reached since the last setPosition/init:
+    // { key, halfmoveClock }, where key identifies the position for repetition
+    this.positionHistory = [];
+
+    // Polyglot opening book (chess_polyglot.js) and how it is consulted
+    this.openingBook = null;
+    this.bookOptions = {
+      enabled: true,
+      maxDepth: Infinity,
+      selection: "weighted",
+    };
+
+    this.baseUrl = null;
+
+    // Progress messages; errors always go to console.error
+    this.log = (...args) => console.log(...args);
   }
 
-  async loadModule(baseUrl = "./") {
+  // Load the Emscripten glue and the wasm binary. Works on pages, in classic
+  // and module workers, and in Node.
+  //   baseUrl         - directory holding chess_wasm_v1.js / chess_wasm_v1.wasm
+  //                     (URL or, in Node, a file path; defaults to this file's
+  //                     directory in Node and "./" elsewhere)
+  //   options.wasm    - override for the binary: URL, file path, ArrayBuffer,
+  //                     typed array or precompiled WebAssembly.Module
+  //   options.factory - the ChessEngine factory itself, for bundlers and
+  //                     module workers that import chess_wasm_v1.js directly
+  //   options.log     - function for progress messages (default console.log);
+  //                     () => {} silences them
+  async loadModule(baseUrl = ChessEngineWASM.defaultBaseUrl(), options = {}) {
+    if (options.log) this.log = options.log;
+
     try {
-      console.log("🔄 Loading chess engine WASM module...");
+      this.log("🔄 Loading chess engine WASM module...");
 
       // Normalize the base URL
       const normalizedBaseUrl = baseUrl.endsWith("/")
         ? baseUrl.slice(0, -1)
         : baseUrl;
+      this.baseUrl = normalizedBaseUrl;
       const jsUrl = `${normalizedBaseUrl}/chess_wasm_v1.js`;
-      const wasmFileUrl = `${normalizedBaseUrl}/chess_wasm_v1.wasm`;
-
-      console.log(`📁 Loading JS from: ${jsUrl}`);
-      console.log(`📁 WASM file URL: ${wasmFileUrl}`);
-
-      // Load the script using script tag instead of dynamic import to avoid CORS issues
-      await this.loadScript(jsUrl);
+      const wasmSource = options.wasm || `${normalizedBaseUrl}/chess_wasm_v1.wasm`;
 
-      // Access the global ChessEngine function (not Module)
-      if (typeof ChessEngine === "undefined") {
+      const factory = options.factory || (await this.loadFactory(jsUrl));
+      if (typeof factory !== "function") {
         throw new Error("chess_wasm_v1.js did not expose ChessEngine function");
       }
 
-      console.log("🔧 Initializing ChessEngine module...");
+      this.log("🔧 Initializing ChessEngine module...");
 
       // Initialize the WebAssembly module using ChessEngine
-      this.module = await ChessEngine({
-        locateFile: (path, prefix) => {
-          if (path.endsWith(".wasm")) {
-            console.log(`🎯 Locating WASM file: ${wasmFileUrl}`);
-            return wasmFileUrl;
-          }
-          return prefix + path;
-        },
-      });
+      const { moduleArgs, instantiationFailed } = await this.createModuleArgs(
+        wasmSource
+      );
+      this.module = await Promise.race([factory(moduleArgs), instantiationFailed]);
 
-      console.log("✅ WASM module loaded successfully");
+      this.log("✅ WASM module loaded successfully");
 
       // Wrap the C functions
       this.setupFunctionWrappers();
 
       this.isReady = true;
-      console.log("🚀 Chess engine ready for use");
+      this.log("🚀 Chess engine ready for use");
 
       return true;
     } catch (error) {
@@ -76,7 +119,57 @@ class ChessEngineWASM {
     }
   }
 
+  static isNode() {
+    return (
+      typeof process !== "undefined" &&
+      Boolean(process.versions && process.versions.node) &&
+      typeof require === "function"
+    );
+  }
+
+  static defaultBaseUrl() {
+    return ChessEngineWASM.isNode() ? __dirname : "./";
+  }
+
+  // Get hold of the ChessEngine factory exported by the Emscripten glue
+  async loadFactory(jsUrl) {
+    if (typeof ChessEngine === "function") {
+      return ChessEngine;
+    }
+
+    // Node: the glue is a CommonJS module
+    if (ChessEngineWASM.isNode()) {
+      const jsPath = jsUrl.startsWith("file:")
+        ? require("url").fileURLToPath(jsUrl)
+        : jsUrl;
+      return require(jsPath);
+    }
+
+    this.log(`📁 Loading JS from: ${jsUrl}`);
+
+    // Pages and classic workers: load the script so it defines the global
+    if (typeof document !== "undefined" || typeof importScripts === "function") {
+      await this.loadScript(jsUrl);
+      return typeof ChessEngine === "function" ? ChessEngine : undefined;
+    }
+
+    // Module workers have neither; evaluate the classic script ourselves
+    const response = await fetch(jsUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${jsUrl}: ${response.status}`);
+    }
+    const source = await response.text();
+    return new Function(`${source}\nreturn ChessEngine;`)();
+  }
+
   loadScript(src) {
+    // Workers have no DOM, but can pull classic scripts in synchronously
+    if (typeof document === "undefined" && typeof importScripts === "function") {
+      importScripts(src);
+      return Promise.resolve();
+    }
+
+    // Load the script using script tag instead of dynamic import to avoid CORS issues
     return new Promise((resolve, reject) => {
       const script = document.createElement("script");
       script.src = src;
@@ -86,6 +179,73 @@ class ChessEngineWASM {
     });
   }
 
+  // Emscripten module arguments that feed it the wasm from the given source.
+  // instantiationFailed rejects if a precompiled module cannot be instantiated
+  // or does not match the glue,
+  // since Emscripten offers no way to report that itself.
+  async createModuleArgs(wasmSource) {
+    let failInstantiation;
+    const instantiationFailed = new Promise((resolve, reject) => {
+      failInstantiation = reject;
+    });
+
+    if (wasmSource instanceof WebAssembly.Module) {
+      this.log("🎯 Using precompiled WASM module");
+      return {
+        instantiationFailed,
+        moduleArgs: {
+          instantiateWasm: (imports, receiveInstance) => {
+            WebAssembly.instantiate(wasmSource, imports)
+              .then((instance) => receiveInstance(instance, wasmSource))
+              .catch(failInstantiation);
+            return {};
+          },
+        },
+      };
+    }
+
+    if (wasmSource instanceof ArrayBuffer || ArrayBuffer.isView(wasmSource)) {
+      this.log("🎯 Using in-memory WASM binary");
+      const wasmBinary = ArrayBuffer.isView(wasmSource)
+        ? new Uint8Array(
+            wasmSource.buffer,
+            wasmSource.byteOffset,
+            wasmSource.byteLength
+          )
+        : wasmSource;
+      return { instantiationFailed, moduleArgs: { wasmBinary } };
+    }
+
+    const wasmFileUrl = String(wasmSource);
+
+    // The glue reads files with fs under Node, which cannot do http(s)
+    if (ChessEngineWASM.isNode() && /^https?:/.test(wasmFileUrl)) {
+      this.log(`📁 Fetching WASM from: ${wasmFileUrl}`);
+      const response = await fetch(wasmFileUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${wasmFileUrl}: ${response.status}`);
+      }
+      return {
+        instantiationFailed,
+        moduleArgs: { wasmBinary: await response.arrayBuffer() },
+      };
+    }
+
+    this.log(`📁 WASM file URL: ${wasmFileUrl}`);
+    return {
+      instantiationFailed,
+      moduleArgs: {
+        locateFile: (path, prefix) => {
+          if (path.endsWith(".wasm")) {
+            this.log(`🎯 Locating WASM file: ${wasmFileUrl}`);
+            return wasmFileUrl;
+          }
+          return prefix + path;
+        },
+      },
+    };
+  }
+
   setupFunctionWrappers() {
     const Module = this.module;
 
@@ -165,6 +325,7 @@ class ChessEngineWASM {
     }
 
     this.isInitialized = true;
+    this.resetHistory();
     return true;
   }
 
@@ -177,67 +338,96 @@ class ChessEngineWASM {
 
   setPosition(fen) {
     if (!this.isInitialized) throw new Error("Engine not initialized");
-    return this.chess_set_position(fen) === 0;
+    if (this.chess_set_position(fen) !== 0) {
+      return false;
+    }
+
+    this.resetHistory(fen);
+    return true;
   }
 
   getBestMove(depth = 4) {
     if (!this.isInitialized) throw new Error("Engine not initialized");
 
-    const bufferSize = 32;
-    const bufferPtr = this._malloc(bufferSize);
+    const { text: move } = this.callWithStringBuffer(
+      "best move",
+      BEST_MOVE_BUFFER_SIZE,
+      (bufferPtr, bufferSize) =>
+        this._chess_get_best_move(bufferPtr, bufferSize, depth),
+      { succeeded: (status) => status === 0 }
+    );
+    return move && move !== "0000" ? move : null;
+  }
+
+  // Accepts coordinate notation ("e2e4", "e7e8q") or SAN ("e4", "Nf3", "O-O")
+  makeMove(move) {
+    if (!this.isInitialized) throw new Error("Engine not initialized");
 
-    if (!bufferPtr) {
-      throw new Error("Failed to allocate memory for best move buffer");
+    const uciMove = this.toUciMove(move);
+    if (uciMove === null) {
+      return false;
     }
 
-    try {
-      const status = this._chess_get_best_move(bufferPtr, bufferSize, depth);
-      if (status !== 0) {
-        return null;
-      }
+    // Pawn moves and captures reset the halfmove clock
+    const board = this.getBoard();
+    const resetsClock =
+      (board[uciMove.slice(0, 2)] || "").toUpperCase() === "P" ||
+      Boolean(board[uciMove.slice(2, 4)]);
 
-      const move = this._decodeCString(bufferPtr);
-      return move && move !== "0000" ? move : null;
-    } finally {
-      this._free(bufferPtr);
+    if (this.chess_make_move(uciMove) !== 0) {
+      return false;
     }
-  }
 
-  makeMove(move) {
-    if (!this.isInitialized) throw new Error("Engine not initialized");
-    return this.chess_make_move(move) === 0;
+    const previous = this.positionHistory[this.positionHistory.length - 1];
+    this.positionHistory.push({
+      key: this.getPositionKey(),
+      halfmoveClock: resetsClock || !previous ? 0 : previous.halfmoveClock + 1,
+    });
+    return true;
   }
 
   undoMove() {
     if (!this.isInitialized) throw new Error("Engine not initialized");
-    return this.chess_undo_move() === 0;
+    if (this.chess_undo_move() !== 0) {
+      return false;
+    }
+
+    if (this.positionHistory.length > 1) {
+      this.positionHistory.pop();
+    } else {
+      // Undid past the last setPosition; only the current position is known
+      this.resetHistory();
+    }
+    return true;
   }
 
   getLegalMoves() {
     if (!this.isInitialized) throw new Error("Engine not initialized");
 
-    const bufferSize = 4096;
-    const bufferPtr = this._malloc(bufferSize);
+    const splitMoves = (text) => text.trim().split(/\s+/).filter(Boolean);
 
-    if (!bufferPtr) {
-      throw new Error("Failed to allocate memory for legal moves buffer");
-    }
-
-    try {
-      const count = this._chess_get_legal_moves(bufferPtr, bufferSize);
-      if (count < 0) {
-        return [];
-      }
-
-      const movesStr = this._decodeCString(bufferPtr).trim();
-      if (!movesStr) {
-        return [];
+    // The count the engine returns tells a truncated list from a complete one
+    const { status: count, text } = this.callWithStringBuffer(
+      "legal moves",
+      LEGAL_MOVES_BUFFER_SIZE,
+      this._chess_get_legal_moves,
+      {
+        succeeded: (count) => count >= 0,
+        isComplete: (text, count) => splitMoves(text).length >= count,
       }
+    );
+    if (count < 0) {
+      return [];
+    }
 
-      return movesStr.split(/\s+/).filter(Boolean);
-    } finally {
-      this._free(bufferPtr);
+    const moves = splitMoves(text);
+    if (moves.length !== count) {
+      throw new Error(
+        `Legal move count mismatch: engine reported ${count}, ` +
+          `listed ${moves.length}`
+      );
     }
+    return moves;
   }
 
   isCheckmate() {
@@ -255,6 +445,8 @@ class ChessEngineWASM {
     return this.chess_is_in_check() === 1;
   }
 
+  // Static evaluation in centipawns from the point of view of the side to
+  // move: positive when the player about to move is better
   evaluatePosition() {
     if (!this.isInitialized) throw new Error("Engine not initialized");
     return this.chess_evaluate_position();
@@ -263,27 +455,631 @@ class ChessEngineWASM {
   getCurrentFen() {
     if (!this.isInitialized) throw new Error("Engine not initialized");
 
-    const bufferSize = 128;
-    const bufferPtr = this._malloc(bufferSize);
+    const { text: fen } = this.callWithStringBuffer(
+      "FEN",
+      FEN_BUFFER_SIZE,
+      this._chess_get_fen,
+      { succeeded: (status) => status === 0 }
+    );
+    return fen || "";
+  }
+
+  // Call a C function that writes a NUL-terminated string into
+  // (buffer, size) and returns a status or count. Text that fills the buffer
+  // may have been cut short, as may text isComplete(text, status) rejects, so
+  // the call is repeated with a buffer twice the size until it fits.
+  // Returns { status, text }; text is null when succeeded(status) is false.
+  callWithStringBuffer(
+    description,
+    initialSize,
+    call,
+    { succeeded, isComplete = () => true }
+  ) {
+    for (
+      let bufferSize = initialSize;
+      bufferSize <= MAX_STRING_BUFFER_SIZE;
+      bufferSize *= 2
+    ) {
+      const bufferPtr = this._malloc(bufferSize);
+      if (!bufferPtr) {
+        throw new Error(`Failed to allocate memory for ${description} buffer`);
+      }
+
+      try {
+        const status = call(bufferPtr, bufferSize);
+        if (!succeeded(status)) {
+          return { status, text: null };
+        }
 
-    if (!bufferPtr) {
-      throw new Error("Failed to allocate memory for FEN buffer");
+        const text = this._decodeCString(bufferPtr);
+        if (text.length < bufferSize - 1 && isComplete(text, status)) {
+          return { status, text };
+        }
+      } finally {
+        this._free(bufferPtr);
+      }
     }
 
+    throw new Error(
+      `${description} output incomplete with a ` +
+        `${MAX_STRING_BUFFER_SIZE} byte buffer`
+    );
+  }
+
+  // SAN notation
+  // Resolved against the current position, so these need the engine on the
+  // position the move is played from.
+
+  // Coordinate notation for a UCI or SAN move, or null if SAN doesn't resolve
+  toUciMove(move) {
+    const text = String(move).trim();
+    return UCI_MOVE_PATTERN.test(text) ? text : this.sanToMove(text);
+  }
+
+  // Piece placement from the current FEN as { square: piece letter }
+  getBoard() {
+    return ChessEngineWASM.boardFromFen(this.getCurrentFen());
+  }
+
+  static boardFromFen(fen) {
+    const board = {};
+    const rows = fen.trim().split(/\s+/)[0].split("/");
+
+    rows.forEach((row, rowIndex) => {
+      let file = 0;
+      for (const char of row) {
+        if (/\d/.test(char)) {
+          file += parseInt(char, 10);
+        } else {
+          board[`${"abcdefgh"[file]}${8 - rowIndex}`] = char;
+          file++;
+        }
+      }
+    });
+
+    return board;
+  }
+
+  // SAN for a legal UCI move, including the check/mate suffix; null if illegal
+  moveToSan(uciMove, legalMoves = this.getLegalMoves()) {
+    if (!legalMoves.includes(uciMove)) return null;
+
+    const board = this.getBoard();
+    const from = uciMove.slice(0, 2);
+    const to = uciMove.slice(2, 4);
+    const promotion = uciMove[4];
+    const piece = (board[from] || "").toUpperCase();
+
+    let san;
+    if (piece === "K" && Math.abs(from.charCodeAt(0) - to.charCodeAt(0)) === 2) {
+      san = to[0] === "g" ? "O-O" : "O-O-O";
+    } else if (piece === "P") {
+      san = from[0] !== to[0] ? `${from[0]}x${to}` : to;
+      if (promotion) san += `=${promotion.toUpperCase()}`;
+    } else {
+      // Disambiguate against other pieces of the same kind reaching `to`
+      const rivals = legalMoves
+        .filter((move) => move.slice(2, 4) === to && move.slice(0, 2) !== from)
+        .map((move) => move.slice(0, 2))
+        .filter((square) => (board[square] || "").toUpperCase() === piece);
+
+      let disambiguation = "";
+      if (rivals.length > 0) {
+        if (rivals.every((square) => square[0] !== from[0])) {
+          disambiguation = from[0];
+        } else if (rivals.every((square) => square[1] !== from[1])) {
+          disambiguation = from[1];
+        } else {
+          disambiguation = from;
+        }
+      }
+
+      san = `${piece}${disambiguation}${board[to] ? "x" : ""}${to}`;
+    }
+
+    // Trial move for the check and mate suffixes
+    if (this.chess_make_move(uciMove) === 0) {
+      if (this.isCheckmate()) {
+        san += "#";
+      } else if (this.isInCheck()) {
+        san += "+";
+      }
+      this.chess_undo_move();
+    }
+
+    return san;
+  }
+
+  // UCI move for a SAN move in the current position; null if it is illegal
+  // or ambiguous. Check/mate marks and annotation glyphs are ignored.
+  sanToMove(san) {
+    const text = String(san)
+      .trim()
+      .replace(/[+#!?]+$/, "")
+      .replace(/^0-0(-0)?$/, (castle) => castle.replace(/0/g, "O"));
+    const legalMoves = this.getLegalMoves();
+    const board = this.getBoard();
+
+    if (text === "O-O" || text === "O-O-O") {
+      const targetFile = text === "O-O" ? "g" : "c";
+      return (
+        legalMoves.find(
+          (move) =>
+            (board[move.slice(0, 2)] || "").toUpperCase() === "K" &&
+            move[0] === "e" &&
+            move[2] === targetFile
+        ) || null
+      );
+    }
+
+    const match = SAN_MOVE_PATTERN.exec(text);
+    if (!match) return null;
+
+    const [, piece = "P", fromFile, fromRank, to, promotion] = match;
+    const candidates = legalMoves.filter(
+      (move) =>
+        move.slice(2, 4) === to &&
+        (board[move.slice(0, 2)] || "").toUpperCase() === piece &&
+        (!fromFile || move[0] === fromFile) &&
+        (!fromRank || move[1] === fromRank) &&
+        (move[4] || "") === (promotion ? promotion.toLowerCase() : "")
+    );
+
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  getLegalMovesSan() {
+    const legalMoves = this.getLegalMoves();
+    return legalMoves.map((move) => this.moveToSan(move, legalMoves));
+  }
+
+  getBestMoveSan(depth = 4) {
+    const move = this.getBestMove(depth);
+    return move ? this.moveToSan(move) : null;
+  }
+
+  // Draw and game-result detection
+  // Repetitions and the halfmove clock are tracked across makeMove/undoMove
+  // since the last setPosition (or init).
+
+  resetHistory(fen = this.getCurrentFen()) {
+    const halfmoveClock = parseInt(String(fen).trim().split(/\s+/)[4], 10);
+    this.positionHistory = [
+      {
+        key: this.getPositionKey(),
+        halfmoveClock: Number.isNaN(halfmoveClock) ? 0 : halfmoveClock,
+      },
+    ];
+  }
+
+  // Placement, side to move, castling rights and en passant square; the last
+  // only when an en passant capture is actually possible, as the repetition
+  // rules require
+  getPositionKey() {
+    const [placement, side, castling, enPassant = "-"] = this.getCurrentFen()
+      .trim()
+      .split(/\s+/);
+
+    let epSquare = "-";
+    if (enPassant !== "-") {
+      const board = this.getBoard();
+      const canCapture = this.getLegalMoves().some(
+        (move) =>
+          move.slice(2, 4) === enPassant &&
+          (board[move.slice(0, 2)] || "").toUpperCase() === "P"
+      );
+      if (canCapture) epSquare = enPassant;
+    }
+
+    return `${placement} ${side} ${castling} ${epSquare}`;
+  }
+
+  getHalfmoveClock() {
+    const current = this.positionHistory[this.positionHistory.length - 1];
+    return current ? current.halfmoveClock : 0;
+  }
+
+  // How many times the current position has occurred, this time included
+  getRepetitionCount() {
+    const current = this.positionHistory[this.positionHistory.length - 1];
+    if (!current) return 0;
+
+    // Repetitions cannot reach back past a pawn move or capture
+    const reachable = this.positionHistory.slice(
+      -(current.halfmoveClock + 1)
+    );
+    return reachable.filter((entry) => entry.key === current.key).length;
+  }
+
+  isThreefoldRepetition() {
+    return this.getRepetitionCount() >= 3;
+  }
+
+  isFivefoldRepetition() {
+    return this.getRepetitionCount() >= 5;
+  }
+
+  isFiftyMoveRule() {
+    return this.getHalfmoveClock() >= 100;
+  }
+
+  isSeventyFiveMoveRule() {
+    return this.getHalfmoveClock() >= 150;
+  }
+
+  // Neither side can ever mate: bare kings, a single minor piece, or only
+  // bishops that all stand on squares of one colour
+  isInsufficientMaterial() {
+    const pieces = Object.entries(this.getBoard()).filter(
+      ([, piece]) => piece.toUpperCase() !== "K"
+    );
+
+    if (pieces.length === 0) return true;
+
+    if (pieces.length === 1) {
+      return ["N", "B"].includes(pieces[0][1].toUpperCase());
+    }
+
+    const bishopSquareColors = pieces.map(([square, piece]) =>
+      piece.toUpperCase() === "B"
+        ? (square.charCodeAt(0) + square.charCodeAt(1)) % 2
+        : -1
+    );
+    return bishopSquareColors.every(
+      (color) => color !== -1 && color === bishopSquareColors[0]
+    );
+  }
+
+  // Result of the game in the current position:
+  //   { result: "1-0" | "0-1" | "1/2-1/2" | "*", termination, isGameOver,
+  //     claimableDraw }
+  // Threefold repetition and the fifty-move rule only end the game when
+  // claimed; they are reported in claimableDraw, or applied with claimDraws.
+  getGameResult({ claimDraws = false } = {}) {
+    const sideToMove = this.getCurrentFen().split(" ")[1];
+    const gameOver = (result, termination) => ({
+      result,
+      termination,
+      isGameOver: true,
+      claimableDraw: null,
+    });
+
+    if (this.isCheckmate()) {
+      return gameOver(sideToMove === "w" ? "0-1" : "1-0", "checkmate");
+    }
+    if (this.isStalemate()) {
+      return gameOver("1/2-1/2", "stalemate");
+    }
+    if (this.isInsufficientMaterial()) {
+      return gameOver("1/2-1/2", "insufficient material");
+    }
+    if (this.isFivefoldRepetition()) {
+      return gameOver("1/2-1/2", "fivefold repetition");
+    }
+    if (this.isSeventyFiveMoveRule()) {
+      return gameOver("1/2-1/2", "seventy-five-move rule");
+    }
+
+    let claimableDraw = null;
+    if (this.isThreefoldRepetition()) {
+      claimableDraw = "threefold repetition";
+    } else if (this.isFiftyMoveRule()) {
+      claimableDraw = "fifty-move rule";
+    }
+
+    if (claimableDraw && claimDraws) {
+      return gameOver("1/2-1/2", claimableDraw);
+    }
+
+    return { result: "*", termination: null, isGameOver: false, claimableDraw };
+  }
+
+  // Opening book
+  // A Polyglot book answers getBookOrBestMove() before the engine searches.
+  //   source            - URL, file path (Node), ArrayBuffer or typed array
+  //   options.enabled   - consult the book at all (default true)
+  //   options.maxDepth  - number of plies from the start of the game the book
+  //                       is used for (default unlimited)
+  //   options.selection - "weighted" picks at random by weight, "best" always
+  //                       plays the heaviest move
+  async loadOpeningBook(source, options = {}) {
     try {
-      const status = this._chess_get_fen(bufferPtr, bufferSize);
-      if (status !== 0) {
-        return "";
+      if (typeof PolyglotBook === "undefined") {
+        if (ChessEngineWASM.isNode()) {
+          require("./chess_polyglot.js");
+        } else {
+          await this.loadScript(`${this.baseUrl || "."}/chess_polyglot.js`);
+        }
+      }
+
+      this.openingBook = await PolyglotBook.load(source);
+      this.setBookOptions(options);
+
+      this.log(
+        `📖 Opening book loaded: ${this.openingBook.entryCount} entries`
+      );
+      return true;
+    } catch (error) {
+      console.error("❌ Failed to load opening book:", error);
+      return false;
+    }
+  }
+
+  unloadOpeningBook() {
+    this.openingBook = null;
+  }
+
+  setBookOptions(options = {}) {
+    for (const name of ["enabled", "maxDepth", "selection"]) {
+      if (options[name] !== undefined) {
+        this.bookOptions[name] = options[name];
       }
+    }
+    return { ...this.bookOptions };
+  }
+
+  // Plies played since the start of the game, from the FEN move counters
+  getGamePly() {
+    const [, side = "w", , , , fullmove = "1"] = this.getCurrentFen().split(" ");
+    const moveNumber = Math.max(1, parseInt(fullmove, 10) || 1);
+    return (moveNumber - 1) * 2 + (side === "b" ? 1 : 0);
+  }
+
+  // Legal book moves in the current position, heaviest first:
+  //   [{ move, san, weight, probability, learn }]
+  // Lookups ignore the enabled/maxDepth options.
+  getBookMoves() {
+    if (!this.isInitialized) throw new Error("Engine not initialized");
+    if (!this.openingBook) return [];
+
+    const legalMoves = this.getLegalMoves();
+    const entries = this.openingBook
+      .getEntries(this.getCurrentFen())
+      .filter((entry) => legalMoves.includes(entry.move));
+    const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+
+    return entries.map((entry) => ({
+      move: entry.move,
+      san: this.moveToSan(entry.move, legalMoves),
+      weight: entry.weight,
+      probability: totalWeight > 0 ? entry.weight / totalWeight : 0,
+      learn: entry.learn,
+    }));
+  }
+
+  // The book's choice for the current position, or null when out of book,
+  // past maxDepth or with the book turned off
+  getBookMove() {
+    if (!this.isInitialized) throw new Error("Engine not initialized");
 
-      return this._decodeCString(bufferPtr);
+    const { enabled, maxDepth, selection } = this.bookOptions;
+    if (!this.openingBook || !enabled || this.getGamePly() >= maxDepth) {
+      return null;
+    }
+
+    const entry = PolyglotBook.pickEntry(this.getBookMoves(), selection);
+    return entry ? entry.move : null;
+  }
+
+  // Book move when there is one, otherwise getBestMove(depth)
+  getBookOrBestMove(depth = 4) {
+    const bookMove = this.getBookMove();
+    if (bookMove) {
+      return { move: bookMove, fromBook: true };
+    }
+    return { move: this.getBestMove(depth), fromBook: false };
+  }
+
+  // Iterative deepening
+  // Runs searchDepth(depth) (getBestMove by default) for depth 1, 2, ... up to
+  // maxDepth. The wasm search cannot be interrupted, so shouldStop() and the
+  // deadline are checked between depths, where the event loop also gets a turn.
+  // Depth 1 always runs, so there is a move whenever one exists.
+  // onDepth({ depth, bestMove, time }) is called after each completed depth.
+  // Resolves with { bestMove, depth, time }, depth being the last completed one.
+  async iterativeDeepening({
+    maxDepth = 4,
+    deadline,
+    shouldStop = () => false,
+    searchDepth = (depth) => this.getBestMove(depth),
+    onDepth,
+  } = {}) {
+    const startTime = Date.now();
+    let bestMove = null;
+    let completedDepth = 0;
+    let lastDepthTime = 0;
+
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      if (completedDepth > 0) {
+        if (shouldStop()) break;
+
+        if (deadline !== undefined) {
+          const remaining = deadline - Date.now();
+          // Each extra ply costs several times the previous one; don't start a
+          // depth that has no realistic chance of finishing before the deadline
+          if (remaining <= 0 || lastDepthTime * 2 > remaining) break;
+        }
+      }
+
+      const depthStart = Date.now();
+      const move = searchDepth(depth);
+      lastDepthTime = Date.now() - depthStart;
+
+      if (!move) break;
+
+      bestMove = move;
+      completedDepth = depth;
+      if (onDepth) {
+        onDepth({ depth, bestMove, time: Date.now() - startTime });
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    return { bestMove, depth: completedDepth, time: Date.now() - startTime };
+  }
+
+  // Thinking time in ms for one move, given the `time` left on the clock, the
+  // `increment` per move and `movesToGo` until the next time control
+  static allocateTime({
+    time,
+    increment = 0,
+    movesToGo = DEFAULT_MOVES_TO_GO,
+  }) {
+    const budget = time / movesToGo + increment * 0.75;
+    return Math.max(1, Math.min(budget, time - MOVE_OVERHEAD));
+  }
+
+  // Multi-PV analysis
+  // Ranks candidate moves in the current position. Each candidate is played and
+  // its line continued with the engine's best replies; the line is scored where
+  // it ends, from the point of view of the side to move now.
+  //   multiPV     - number of lines to return
+  //   depth       - search depth, which is also the length of each line in plies
+  //   searchMoves - only consider these moves (UCI or SAN), like UCI searchmoves
+  // Returns [{ rank, move, san, score: { cp } | { mate }, pv, pvSan }], best first.
+  getMultiPV({ multiPV = 1, depth = 4, searchMoves = null } = {}) {
+    if (!this.isInitialized) throw new Error("Engine not initialized");
+
+    const sideToMove = this.getCurrentFen().split(" ")[1];
+    const legalMoves = this.getLegalMoves();
+
+    let candidates = legalMoves;
+    if (searchMoves && searchMoves.length > 0) {
+      const wanted = new Set(searchMoves.map((move) => this.toUciMove(move)));
+      candidates = legalMoves.filter((move) => wanted.has(move));
+    }
+
+    const lines = candidates.map((move) =>
+      this.scoreLine(move, depth, sideToMove, legalMoves)
+    );
+    lines.sort(
+      (a, b) =>
+        ChessEngineWASM.scoreValue(b.score) - ChessEngineWASM.scoreValue(a.score)
+    );
+
+    return lines
+      .slice(0, Math.max(1, multiPV))
+      .map((line, index) => ({ rank: index + 1, ...line }));
+  }
+
+  // Play `move`, follow the best replies for up to `depth` plies and score the
+  // resulting position; the engine is returned to where it started
+  scoreLine(move, depth, sideToMove, legalMoves) {
+    const pv = [];
+    const pvSan = [this.moveToSan(move, legalMoves)];
+    let score = null;
+
+    try {
+      if (!this.makeMove(move)) {
+        throw new Error(`Failed to play candidate move ${move}`);
+      }
+      pv.push(move);
+
+      for (;;) {
+        const gameResult = this.getGameResult();
+        if (gameResult.isGameOver) {
+          if (gameResult.termination === "checkmate") {
+            // The side to move at the end of the line is the one mated
+            const movesToMate = Math.ceil(pv.length / 2);
+            const rootMated = this.getCurrentFen().split(" ")[1] === sideToMove;
+            score = { mate: rootMated ? -movesToMate : movesToMate };
+          } else {
+            score = { cp: 0 };
+          }
+          break;
+        }
+
+        if (pv.length >= depth) break;
+
+        const reply = this.getBestMove(Math.max(1, depth - pv.length));
+        const replySan = reply ? this.moveToSan(reply) : null;
+        if (!reply || !this.makeMove(reply)) break;
+
+        pv.push(reply);
+        pvSan.push(replySan);
+      }
+
+      if (!score) {
+        // evaluatePosition() scores for the side to move at the end of the line
+        const leafSide = this.getCurrentFen().split(" ")[1];
+        const evaluation = this.evaluatePosition();
+        score = { cp: leafSide === sideToMove ? evaluation : -evaluation };
+      }
     } finally {
-      this._free(bufferPtr);
+      pv.forEach(() => this.undoMove());
+    }
+
+    return { move, san: pvSan[0], score, pv, pvSan };
+  }
+
+  // Single number for ordering scores: any mate beats any centipawn score,
+  // and quicker mates rank higher (quicker mates against rank lower)
+  static scoreValue(score) {
+    if (score.mate === undefined) return score.cp;
+    return score.mate > 0 ? 1e6 - score.mate : -1e6 - score.mate;
+  }
+
+  // Move generator verification
+  // Moves are played with the raw C calls, as in moveToSan, so the position
+  // history is left alone.
+
+  // Number of leaf nodes of the legal move tree from the current position
+  perft(depth) {
+    if (!this.isInitialized) throw new Error("Engine not initialized");
+    if (depth <= 0) return 1;
+
+    const moves = this.getLegalMoves();
+    if (depth === 1) return moves.length;
+
+    let nodes = 0;
+    for (const move of moves) {
+      if (this.chess_make_move(move) !== 0) {
+        throw new Error(`Engine rejected its own legal move ${move}`);
+      }
+      try {
+        nodes += this.perft(depth - 1);
+      } finally {
+        this.chess_undo_move();
+      }
     }
+    return nodes;
+  }
+
+  // perft split by first move, for tracking down a wrong count:
+  //   { nodes, moves: [{ move, nodes }] } sorted by move
+  divide(depth) {
+    if (!this.isInitialized) throw new Error("Engine not initialized");
+    if (depth < 1) throw new Error("divide needs a depth of at least 1");
+
+    const fen = this.getCurrentFen();
+    const moves = this.getLegalMoves()
+      .sort()
+      .map((move) => {
+        if (this.chess_make_move(move) !== 0) {
+          throw new Error(`Engine rejected its own legal move ${move}`);
+        }
+        try {
+          return { move, nodes: this.perft(depth - 1) };
+        } finally {
+          this.chess_undo_move();
+        }
+      });
+
+    // Every make has been undone; anything else is an undo_move bug
+    if (this.getCurrentFen() !== fen) {
+      throw new Error(`Position not restored after divide: ${fen}`);
+    }
+
+    return {
+      nodes: moves.reduce((sum, { nodes }) => sum + nodes, 0),
+      moves,
+    };
   }
 
   // Comprehensive analysis method
-  async analyzePosition(fen, depth = 4) {
+  // options.multiPV / options.searchMoves add ranked lines (see getMultiPV)
+  async analyzePosition(fen, depth = 4, options = {}) {
     try {
       if (!this.setPosition(fen)) {
         return { error: "Invalid FEN position" };
@@ -295,8 +1091,9 @@ class ChessEngineWASM {
       const isCheckmate = this.isCheckmate();
       const isStalemate = this.isStalemate();
       const isInCheck = this.isInCheck();
+      const gameResult = this.getGameResult();
 
-      return {
+      const analysis = {
         success: true,
         bestMove,
         evaluation,
@@ -306,10 +1103,21 @@ class ChessEngineWASM {
           isCheckmate,
           isStalemate,
           isInCheck,
+          gameResult,
         },
         depth,
         fen: this.getCurrentFen(),
       };
+
+      if (options.multiPV || options.searchMoves) {
+        analysis.lines = this.getMultiPV({
+          multiPV: options.multiPV,
+          depth,
+          searchMoves: options.searchMoves,
+        });
+      }
+
+      return analysis;
     } catch (error) {
       return { error: error.message };
     }
@@ -317,4 +1125,8 @@ class ChessEngineWASM {
 }
 
 // Global instance
-window.ChessEngineWASM = ChessEngineWASM;
+globalThis.ChessEngineWASM = ChessEngineWASM;
+if (typeof module === "object" && module.exports) {
+  module.exports = ChessEngineWASM;
+  module.exports.ChessEngineWASM = ChessEngineWASM;
+}
@@ -0,0 +1,319 @@
+// Chess Game Model
+// Records a game played through ChessEngineWASM as a move tree: the mainline
+// plus any variations, with the FEN after every ply. Supports navigation and
+// PGN import/export (chess_pgn.js).
+//
+// The game drives the engine with makeMove/undoMove so the engine always sits
+// on the game's current position; don't move the engine behind its back, or
+// call syncEngine() afterwards.
+
+if (typeof module === "object" && module.exports) {
+  require("./chess_engine_wrapper_v1_2.js");
+  require("./chess_pgn.js");
+}
+
+class ChessGame {
+  constructor(engine, options = {}) {
+    if (!engine || !engine.isInitialized) {
+      throw new Error("Engine not initialized");
+    }
+
+    this.engine = engine;
+    this.headers = { ...(options.headers || {}) };
+    this.result = "*";
+    this.reset(options.fen || ChessEngineWASM.START_FEN);
+  }
+
+  static fromPgn(engine, pgn) {
+    const game = new ChessGame(engine);
+    game.loadPgn(pgn);
+    return game;
+  }
+
+  // Start over from the given position, discarding all moves
+  reset(fen = ChessEngineWASM.START_FEN) {
+    if (!this.engine.setPosition(fen)) {
+      throw new Error("Invalid FEN position");
+    }
+
+    this.startFen = this.engine.getCurrentFen() || fen;
+    this.root = this.createNode(null, null, null, this.startFen);
+    this.current = this.root;
+    this.result = "*";
+  }
+
+  createNode(parent, move, san, fen) {
+    return {
+      move,
+      san,
+      fen,
+      ply: parent ? parent.ply + 1 : 0,
+      parent,
+      children: [],
+      nags: [],
+      comment: null,
+      startingComment: null,
+    };
+  }
+
+  // Play a move (UCI or SAN) from the current position. Replaying a move that
+  // already exists here follows it; a new move starts a variation if the
+  // position already has a continuation. Returns the node, or null if illegal.
+  makeMove(move) {
+    const uci = this.engine.toUciMove(move);
+    if (!uci) return null;
+
+    const existing = this.current.children.find((child) => child.move === uci);
+    if (existing) {
+      return this.goTo(existing) ? existing : null;
+    }
+
+    const san = this.engine.moveToSan(uci);
+    if (!san || !this.engine.makeMove(uci)) {
+      return null;
+    }
+
+    const node = this.createNode(
+      this.current,
+      uci,
+      san,
+      this.engine.getCurrentFen()
+    );
+    this.current.children.push(node);
+    this.current = node;
+    return node;
+  }
+
+  // Take back the current move: step back and, if nothing follows it,
+  // remove it from the record
+  undoMove() {
+    const node = this.current;
+    if (!node.parent || !this.back()) {
+      return false;
+    }
+
+    if (node.children.length === 0) {
+      node.parent.children.splice(node.parent.children.indexOf(node), 1);
+    }
+    return true;
+  }
+
+  // Navigation
+  goTo(node) {
+    if (node === this.current) return true;
+
+    // Walk back to the common ancestor, then forward to the target
+    const targetPath = this.pathTo(node);
+    const currentPath = this.pathTo(this.current);
+    let common = 0;
+    while (
+      common < targetPath.length &&
+      common < currentPath.length &&
+      targetPath[common] === currentPath[common]
+    ) {
+      common++;
+    }
+
+    let inSync = true;
+    for (let i = currentPath.length - 1; i >= common && inSync; i--) {
+      inSync = this.engine.undoMove();
+    }
+    for (let i = common; i < targetPath.length && inSync; i++) {
+      inSync = this.engine.makeMove(targetPath[i].move);
+    }
+
+    const previous = this.current;
+    this.current = node;
+    if (!inSync && !this.syncEngine()) {
+      this.current = previous;
+      this.syncEngine();
+      return false;
+    }
+    return true;
+  }
+
+  back() {
+    return this.current.parent ? this.goTo(this.current.parent) : false;
+  }
+
+  // Step forward into the mainline continuation, or the given variation
+  forward(variation = 0) {
+    const next = this.current.children[variation];
+    return next ? this.goTo(next) : false;
+  }
+
+  goToStart() {
+    return this.goTo(this.root);
+  }
+
+  goToEnd() {
+    let node = this.current;
+    while (node.children.length > 0) {
+      node = node.children[0];
+    }
+    return this.goTo(node);
+  }
+
+  // Jump to a ply of the current line (0 is the starting position)
+  goToPly(ply) {
+    const line = this.getLine();
+    return ply >= 0 && ply < line.length ? this.goTo(line[ply]) : false;
+  }
+
+  // Put the engine on the current position from scratch
+  syncEngine() {
+    if (!this.engine.setPosition(this.startFen)) {
+      return false;
+    }
+    return this.pathTo(this.current).every((node) =>
+      this.engine.makeMove(node.move)
+    );
+  }
+
+  // Moves from the start of the game to the node (the root excluded)
+  pathTo(node) {
+    const path = [];
+    for (let n = node; n.parent; n = n.parent) {
+      path.unshift(n);
+    }
+    return path;
+  }
+
+  // The line through the current position: the moves leading here plus the
+  // main continuation, starting with the root
+  getLine() {
+    const line = [this.root, ...this.pathTo(this.current)];
+    let node = this.current;
+    while (node.children.length > 0) {
+      node = node.children[0];
+      line.push(node);
+    }
+    return line;
+  }
+
+  getMainline() {
+    const line = [this.root];
+    let node = this.root;
+    while (node.children.length > 0) {
+      node = node.children[0];
+      line.push(node);
+    }
+    return line;
+  }
+
+  // Moves played to reach the current position, with the FEN after each ply
+  getHistory() {
+    return this.pathTo(this.current).map(({ ply, move, san, fen }) => ({
+      ply,
+      move,
+      san,
+      fen,
+    }));
+  }
+
+  getFens() {
+    return this.getLine().map((node) => node.fen);
+  }
+
+  // Alternatives to the current move (the mainline move comes first)
+  getVariations() {
+    return this.current.parent ? [...this.current.parent.children] : [];
+  }
+
+  isMainline(node = this.current) {
+    for (let n = node; n.parent; n = n.parent) {
+      if (n.parent.children[0] !== n) return false;
+    }
+    return true;
+  }
+
+  // Move a variation one step up, making it the main continuation at its
+  // branch point when it reaches the front
+  promoteVariation(node = this.current) {
+    const siblings = node.parent ? node.parent.children : null;
+    const index = siblings ? siblings.indexOf(node) : -1;
+    if (index <= 0) return false;
+
+    siblings.splice(index, 1);
+    siblings.splice(index - 1, 0, node);
+    return true;
+  }
+
+  // Remove a move and everything after it
+  deleteVariation(node = this.current) {
+    if (!node.parent) return false;
+
+    if (this.pathTo(this.current).includes(node) && !this.goTo(node.parent)) {
+      return false;
+    }
+
+    const siblings = node.parent.children;
+    siblings.splice(siblings.indexOf(node), 1);
+    return true;
+  }
+
+  setResult(result) {
+    if (!ChessPGN.RESULTS.includes(result)) {
+      throw new Error(`Invalid game result: ${result}`);
+    }
+    this.result = result;
+  }
+
+  // PGN import: a PGN string (its first game is used) or a game already
+  // parsed by ChessPGN.parse()
+  loadPgn(pgn) {
+    const parsed = typeof pgn === "string" ? ChessPGN.parse(pgn)[0] : pgn;
+    if (!parsed) {
+      throw new Error("No game found in PGN");
+    }
+
+    this.reset(parsed.headers.FEN || ChessEngineWASM.START_FEN);
+    this.headers = { ...parsed.headers };
+    this.root.comment = parsed.root.comment;
+
+    const addMoves = (parsedNode, gameNode) => {
+      for (const parsedChild of parsedNode.children) {
+        this.goTo(gameNode);
+
+        const child = this.makeMove(parsedChild.san);
+        if (!child) {
+          throw new Error(
+            `Illegal move in PGN: ${parsedChild.san} at ply ${gameNode.ply + 1}`
+          );
+        }
+
+        child.nags = [...parsedChild.nags];
+        child.comment = parsedChild.comment;
+        child.startingComment = parsedChild.startingComment;
+        addMoves(parsedChild, child);
+      }
+    };
+
+    addMoves(parsed.root, this.root);
+    this.result = parsed.result;
+    this.goTo(this.getMainline().pop());
+  }
+
+  toPgn(options = {}) {
+    const headers = { ...this.headers };
+    if (this.startFen !== ChessEngineWASM.START_FEN) {
+      headers.SetUp = "1";
+      headers.FEN = this.startFen;
+    } else {
+      delete headers.SetUp;
+      delete headers.FEN;
+    }
+
+    return ChessPGN.stringify(
+      { headers, root: this.root, result: this.result },
+      { ...options, startFen: this.startFen }
+    );
+  }
+}
+
+// Global instance
+globalThis.ChessGame = ChessGame;
+if (typeof module === "object" && module.exports) {
+  module.exports = ChessGame;
+  module.exports.ChessGame = ChessGame;
+}
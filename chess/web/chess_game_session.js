@@ -0,0 +1,487 @@
+// Play-vs-Engine Session
+// Runs a game between a human and ChessEngineWASM: whose turn it is, chess
+// clocks with flag fall, engine replies at a chosen skill level, takebacks,
+// resignation and draw offers. The moves are recorded in a ChessGame
+// (chess_game.js), so the session can be exported as PGN at any point.
+//
+// Events (subscribe with on(event, handler)):
+//   move     - { move, san, color, fen, byEngine, clock }
+//   check    - { color } of the side in check
+//   clock    - { white, black, turn } remaining milliseconds, every tick
+//   takeback - { plies, fen }
+//   gameOver - { result, termination, winner }
+//   error    - { error } the engine failed to move; the game ends unfinished
+
+if (typeof module === "object" && module.exports) {
+  require("./chess_engine_wrapper_v1_2.js");
+  require("./chess_game.js");
+}
+
+// Skill levels 1-8. Besides the search depth, lower levels pick at random
+// among moves scoring within `window` centipawns of the best one, and play a
+// random legal move with probability `blunderRate`.
+const SESSION_SKILL_LEVELS = [
+  { depth: 1, window: 300, blunderRate: 0.25 },
+  { depth: 1, window: 200, blunderRate: 0.15 },
+  { depth: 2, window: 150, blunderRate: 0.1 },
+  { depth: 2, window: 100, blunderRate: 0.05 },
+  { depth: 3, window: 60, blunderRate: 0.02 },
+  { depth: 3, window: 30, blunderRate: 0 },
+  { depth: 4, window: 10, blunderRate: 0 },
+  { depth: 5, window: 0, blunderRate: 0 },
+];
+
+// How often running clocks are checked and "clock" events are emitted (ms)
+const SESSION_CLOCK_INTERVAL = 100;
+
+// The engine accepts a draw offer when its evaluation is no better than this
+const SESSION_DRAW_ACCEPT_SCORE = -50;
+
+class ChessGameSession {
+  static SKILL_LEVELS = SESSION_SKILL_LEVELS;
+
+  // options:
+  //   humanColor  - "w" / "b" (or "white" / "black"), default white
+  //   timeControl - { base, increment } or { movetime } in milliseconds;
+  //                 untimed when omitted
+  //   skill       - level 1-8 (default 8) or { depth, window, blunderRate }
+  //   fen         - starting position
+  //   headers     - extra PGN headers
+  //   playerName  - the human's name in the PGN headers
+  //   drawAcceptScore, clockInterval, random - tuning and testing hooks
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.humanColor = String(options.humanColor || "w")[0].toLowerCase();
+    if (this.humanColor !== "w" && this.humanColor !== "b") {
+      throw new Error(`Invalid color: ${options.humanColor}`);
+    }
+    this.engineColor = this.humanColor === "w" ? "b" : "w";
+
+    this.timeControl = ChessGameSession.resolveTimeControl(options.timeControl);
+    this.skill = ChessGameSession.resolveSkill(options.skill);
+    this.drawAcceptScore =
+      options.drawAcceptScore !== undefined
+        ? options.drawAcceptScore
+        : SESSION_DRAW_ACCEPT_SCORE;
+    this.clockInterval = options.clockInterval || SESSION_CLOCK_INTERVAL;
+    this.random = options.random || Math.random;
+
+    const engineName = `ChessEngineWASM (level ${this.skill.level || "custom"})`;
+    const playerName = options.playerName || "Player";
+    const headers = {
+      White: this.humanColor === "w" ? playerName : engineName,
+      Black: this.humanColor === "b" ? playerName : engineName,
+      ...(options.headers || {}),
+    };
+    if (this.timeControl && this.timeControl.base !== undefined) {
+      headers.TimeControl = `${this.timeControl.base / 1000}+${
+        this.timeControl.increment / 1000
+      }`;
+    }
+
+    this.game = new ChessGame(engine, { fen: options.fen, headers });
+
+    this.listeners = new Map();
+    this.clock = this.timeControl
+      ? {
+          w: this.timeControl.base || this.timeControl.movetime,
+          b: this.timeControl.base || this.timeControl.movetime,
+        }
+      : null;
+    this.turnStartedAt = null;
+    this.ticker = null;
+    this.engineTimer = null;
+    // The engine's search in progress: { cancelled }
+    this.engineSearch = null;
+
+    this.isStarted = false;
+    this.isOver = false;
+    this.outcome = null;
+  }
+
+  static resolveTimeControl(timeControl) {
+    if (!timeControl) return null;
+
+    if (timeControl.movetime > 0) {
+      return { movetime: timeControl.movetime };
+    }
+    if (timeControl.base > 0) {
+      return { base: timeControl.base, increment: timeControl.increment || 0 };
+    }
+    throw new Error("Invalid time control");
+  }
+
+  static resolveSkill(skill = SESSION_SKILL_LEVELS.length) {
+    if (typeof skill === "number") {
+      const level = Math.max(
+        1,
+        Math.min(SESSION_SKILL_LEVELS.length, Math.round(skill))
+      );
+      return { level, ...SESSION_SKILL_LEVELS[level - 1] };
+    }
+    return { depth: 4, window: 0, blunderRate: 0, ...skill };
+  }
+
+  // Events
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return this;
+  }
+
+  off(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (handlers) handlers.delete(handler);
+    return this;
+  }
+
+  emit(event, data) {
+    const handlers = this.listeners.get(event);
+    if (handlers) {
+      [...handlers].forEach((handler) => handler(data));
+    }
+  }
+
+  get turn() {
+    return this.engine.getCurrentFen().split(" ")[1];
+  }
+
+  isHumanTurn() {
+    return this.turn === this.humanColor;
+  }
+
+  // Start the clocks; the engine moves first if it has the move
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    const state = this.engine.getGameResult();
+    if (state.isGameOver) {
+      this.endGame(state.result, state.termination);
+      return;
+    }
+
+    this.startTurn();
+    if (this.clock) {
+      this.ticker = setInterval(() => this.tick(), this.clockInterval);
+    }
+    if (!this.isHumanTurn()) {
+      this.scheduleEngineMove();
+    }
+  }
+
+  // Clocks
+  startTurn() {
+    this.turnStartedAt = Date.now();
+    if (this.clock && this.timeControl.movetime) {
+      this.clock[this.turn] = this.timeControl.movetime;
+    }
+  }
+
+  // Remaining time in ms, counting the running turn; null when untimed
+  getClock() {
+    if (!this.clock) return null;
+
+    const remaining = { ...this.clock };
+    if (this.isStarted && !this.isOver) {
+      remaining[this.turn] -= Date.now() - this.turnStartedAt;
+    }
+    return {
+      white: Math.max(0, remaining.w),
+      black: Math.max(0, remaining.b),
+      turn: this.turn,
+    };
+  }
+
+  // Take the time used so far this turn off the mover's clock. Returns false
+  // when the flag has fallen.
+  chargeClock(color) {
+    if (!this.clock) return true;
+
+    this.clock[color] -= Date.now() - this.turnStartedAt;
+    this.turnStartedAt = Date.now();
+    return this.clock[color] > 0;
+  }
+
+  tick() {
+    const clock = this.getClock();
+    this.emit("clock", clock);
+
+    const turn = this.turn;
+    if (clock[turn === "w" ? "white" : "black"] <= 0) {
+      this.chargeClock(turn);
+      this.flag(turn);
+    }
+  }
+
+  // A flag fall is a draw when the opponent could not mate anyway (FIDE 6.9)
+  flag(color) {
+    const opponent = color === "w" ? "b" : "w";
+    const opponentHasOnlyKing = Object.values(this.engine.getBoard()).every(
+      (piece) =>
+        piece.toUpperCase() === "K" ||
+        (piece === piece.toUpperCase() ? "w" : "b") !== opponent
+    );
+    if (opponentHasOnlyKing || this.engine.isInsufficientMaterial()) {
+      this.endGame("1/2-1/2", "insufficient material");
+      return;
+    }
+
+    this.endGame(color === "w" ? "0-1" : "1-0", "time forfeit");
+  }
+
+  // Moves
+  // Play the human's move (UCI or SAN). Returns the game node, or null when it
+  // isn't the human's turn or the move is illegal.
+  makeMove(move) {
+    if (!this.isStarted || this.isOver || !this.isHumanTurn()) {
+      return null;
+    }
+
+    const uci = this.engine.toUciMove(move);
+    if (!uci || !this.engine.getLegalMoves().includes(uci)) {
+      return null;
+    }
+    return this.commitMove(uci);
+  }
+
+  commitMove(move) {
+    const color = this.turn;
+    if (!this.chargeClock(color)) {
+      this.flag(color);
+      return null;
+    }
+
+    const node = this.game.makeMove(move);
+    if (!node) return null;
+
+    if (this.clock && this.timeControl.increment) {
+      this.clock[color] += this.timeControl.increment;
+    }
+
+    this.emit("move", {
+      move: node.move,
+      san: node.san,
+      color,
+      fen: node.fen,
+      byEngine: color === this.engineColor,
+      clock: this.getClock(),
+    });
+
+    if (this.engine.isInCheck()) {
+      this.emit("check", { color: this.turn });
+    }
+
+    const state = this.engine.getGameResult();
+    if (state.isGameOver) {
+      this.endGame(state.result, state.termination);
+      return node;
+    }
+
+    this.startTurn();
+    if (!this.isHumanTurn()) {
+      this.scheduleEngineMove();
+    }
+    return node;
+  }
+
+  // Reply on a fresh task so the human's move is handled (and rendered)
+  // before the engine blocks the thread to think
+  scheduleEngineMove() {
+    this.engineTimer = setTimeout(() => {
+      this.engineTimer = null;
+      this.playEngineMove().catch((error) => this.handleEngineError(error));
+    }, 0);
+  }
+
+  cancelEngineMove() {
+    clearTimeout(this.engineTimer);
+    this.engineTimer = null;
+    if (this.engineSearch) {
+      this.engineSearch.cancelled = true;
+      this.engineSearch = null;
+    }
+  }
+
+  async playEngineMove() {
+    if (this.isOver || this.isHumanTurn()) return;
+
+    // The engine claims repetitions and fifty-move draws unless it is better
+    const state = this.engine.getGameResult();
+    if (state.claimableDraw && this.engineScore() <= 0) {
+      this.endGame("1/2-1/2", state.claimableDraw);
+      return;
+    }
+
+    const search = { cancelled: false };
+    this.engineSearch = search;
+    const move = await this.chooseEngineMove(search);
+    if (search.cancelled || this.isOver) return;
+
+    this.engineSearch = null;
+    if (move) {
+      this.commitMove(move);
+    }
+  }
+
+  // The engine could not produce a move, so the game cannot go on
+  handleEngineError(error) {
+    this.engineSearch = null;
+    this.emit("error", { error });
+    this.endGame("*", "engine error");
+  }
+
+  async chooseEngineMove(search) {
+    const bookMove = this.engine.getBookMove();
+    if (bookMove) return bookMove;
+
+    const legalMoves = this.engine.getLegalMoves();
+    if (legalMoves.length === 0) return null;
+
+    const { depth, window, blunderRate } = this.skill;
+    if (blunderRate > 0 && this.random() < blunderRate) {
+      return legalMoves[Math.floor(this.random() * legalMoves.length)];
+    }
+
+    const budget = this.moveBudget();
+    const limits = {
+      maxDepth: depth,
+      deadline: budget === undefined ? undefined : Date.now() + budget,
+      shouldStop: () => search.cancelled,
+    };
+
+    if (window > 0 && legalMoves.length > 1) {
+      // Every legal move ranked at each depth, so the budget applies here too
+      let lines = [];
+      await this.engine.iterativeDeepening({
+        ...limits,
+        searchDepth: (currentDepth) => {
+          lines = this.engine.getMultiPV({
+            multiPV: legalMoves.length,
+            depth: currentDepth,
+          });
+          return lines.length > 0 ? lines[0].move : null;
+        },
+      });
+      if (lines.length === 0) return legalMoves[0];
+
+      const bestValue = ChessEngineWASM.scoreValue(lines[0].score);
+      const candidates = lines.filter(
+        (line) => bestValue - ChessEngineWASM.scoreValue(line.score) <= window
+      );
+      return candidates[Math.floor(this.random() * candidates.length)].move;
+    }
+
+    const { bestMove } = await this.engine.iterativeDeepening(limits);
+    return bestMove || legalMoves[0];
+  }
+
+  // Thinking time for the engine's move in ms, or undefined when untimed
+  moveBudget() {
+    if (!this.clock) return undefined;
+
+    const time =
+      this.clock[this.engineColor] - (Date.now() - this.turnStartedAt);
+    if (this.timeControl.movetime) {
+      // All of the remaining time is for this move
+      return ChessEngineWASM.allocateTime({ time, movesToGo: 1 });
+    }
+    return ChessEngineWASM.allocateTime({
+      time,
+      increment: this.timeControl.increment,
+    });
+  }
+
+  // Centipawns from the engine's point of view. evaluatePosition() scores for
+  // the side to move, which is the engine only on its own turn.
+  engineScore() {
+    const score = this.engine.evaluatePosition();
+    return this.turn === this.engineColor ? score : -score;
+  }
+
+  // Take back the human's last move, and the engine's reply if it was made.
+  // The clocks keep the time already used.
+  takeback() {
+    if (!this.isStarted || this.isOver) return false;
+
+    const plies = this.isHumanTurn() ? 2 : 1;
+    if (this.game.getHistory().length < plies) return false;
+
+    this.cancelEngineMove();
+    for (let i = 0; i < plies; i++) {
+      if (!this.game.undoMove()) return false;
+    }
+
+    this.startTurn();
+    this.emit("takeback", { plies, fen: this.engine.getCurrentFen() });
+    return true;
+  }
+
+  resign() {
+    if (!this.isStarted || this.isOver) return false;
+
+    this.endGame(this.humanColor === "w" ? "0-1" : "1-0", "resignation");
+    return true;
+  }
+
+  // The engine accepts when a draw can be claimed or it is not doing better
+  // than drawAcceptScore. Returns whether the game was drawn.
+  offerDraw() {
+    if (!this.isStarted || this.isOver) return false;
+
+    const state = this.engine.getGameResult();
+    if (!state.claimableDraw && this.engineScore() > this.drawAcceptScore) {
+      return false;
+    }
+
+    this.endGame("1/2-1/2", "agreement");
+    return true;
+  }
+
+  // Claim a threefold repetition or fifty-move draw
+  claimDraw() {
+    if (!this.isStarted || this.isOver) return false;
+
+    const state = this.engine.getGameResult();
+    if (!state.claimableDraw) return false;
+
+    this.endGame("1/2-1/2", state.claimableDraw);
+    return true;
+  }
+
+  endGame(result, termination) {
+    if (this.isOver) return;
+
+    if (this.clock && this.turnStartedAt !== null) {
+      // Freeze the clocks where they stand
+      this.chargeClock(this.turn);
+      this.clock[this.turn] = Math.max(0, this.clock[this.turn]);
+    }
+
+    this.isOver = true;
+    clearInterval(this.ticker);
+    this.ticker = null;
+    this.cancelEngineMove();
+
+    this.game.setResult(result);
+    this.outcome = {
+      result,
+      termination,
+      winner: result === "1-0" ? "w" : result === "0-1" ? "b" : null,
+    };
+    this.emit("gameOver", this.outcome);
+  }
+
+  toPgn(options = {}) {
+    return this.game.toPgn(options);
+  }
+}
+
+// Global instance
+globalThis.ChessGameSession = ChessGameSession;
+if (typeof module === "object" && module.exports) {
+  module.exports = ChessGameSession;
+  module.exports.ChessGameSession = ChessGameSession;
+}
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+// Perft Test Harness
+// Checks the engine's move generator against the standard perft suite
+// (chess_perft_suite.js). Exits with status 1 if any count is wrong.
+//   node chess_perft_cli.js [maxDepth]        suite up to maxDepth (default 3)
+//   node chess_perft_cli.js divide <depth> [fen]
+//                                             per-move counts for one position
+
+const ChessEngineWASM = require("./chess_engine_wrapper_v1_2.js");
+const PERFT_SUITE = require("./chess_perft_suite.js");
+
+const DEFAULT_MAX_DEPTH = 3;
+
+function runSuite(engine, maxDepth) {
+  let failures = 0;
+
+  for (const { name, fen, nodes } of PERFT_SUITE) {
+    console.log(`${name}: ${fen}`);
+    if (!engine.setPosition(fen)) {
+      console.log("  ❌ position rejected");
+      failures++;
+      continue;
+    }
+
+    const depths = Math.min(maxDepth, nodes.length);
+    for (let depth = 1; depth <= depths; depth++) {
+      const startTime = Date.now();
+      let count;
+      try {
+        count = engine.perft(depth);
+      } catch (error) {
+        count = error.message;
+      }
+
+      const expected = nodes[depth - 1];
+      const passed = count === expected;
+      if (!passed) failures++;
+
+      console.log(
+        `  ${passed ? "✅" : "❌"} perft(${depth}) = ${count}` +
+          (passed ? "" : ` (expected ${expected})`) +
+          ` in ${Date.now() - startTime} ms`
+      );
+
+      // Deeper counts are built on this one; don't spend time on them
+      if (!passed) break;
+    }
+  }
+
+  return failures;
+}
+
+function runDivide(engine, depth, fen) {
+  if (fen && !engine.setPosition(fen)) {
+    console.log(`❌ Invalid FEN position: ${fen}`);
+    return 1;
+  }
+
+  const { nodes, moves } = engine.divide(depth);
+  moves.forEach(({ move, nodes: moveNodes }) =>
+    console.log(`${move}: ${moveNodes}`)
+  );
+  console.log(`\nNodes searched: ${nodes}`);
+  return 0;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const engine = new ChessEngineWASM();
+
+  // Keep the report readable; the wrapper's progress messages go to stderr
+  const loaded = await engine.loadModule(__dirname, { log: console.error });
+  if (!loaded || !(await engine.init())) {
+    console.error("❌ Chess engine failed to start");
+    process.exit(1);
+  }
+
+  let failures;
+  if (args[0] === "divide") {
+    const depth = parseInt(args[1], 10);
+    if (!(depth >= 1)) {
+      console.error("Usage: node chess_perft_cli.js divide <depth> [fen]");
+      process.exit(2);
+    }
+    failures = runDivide(engine, depth, args.slice(2).join(" "));
+  } else {
+    const maxDepth = args[0] ? parseInt(args[0], 10) : DEFAULT_MAX_DEPTH;
+    if (!(maxDepth >= 1)) {
+      console.error("Usage: node chess_perft_cli.js [maxDepth]");
+      process.exit(2);
+    }
+    failures = runSuite(engine, maxDepth);
+    console.log(
+      failures === 0 ? "\nAll perft counts match" : `\n${failures} failed`
+    );
+  }
+
+  engine.cleanup();
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,324 @@
+// PGN Reader/Writer
+// Parses Portable Game Notation into move trees and writes them back out.
+// Works purely on SAN text; ChessGame (chess_game.js) replays the moves
+// through the engine.
+//
+// A parsed game is { headers, root, result } where root and every move node
+// have the shape
+//   { san, nags: [], comment, startingComment, children: [] }
+// children[0] continues the line and any further children are variations.
+
+// Suffix annotations and the NAGs they stand for
+const PGN_GLYPH_NAGS = { "!": 1, "?": 2, "!!": 3, "??": 4, "!?": 5, "?!": 6 };
+const PGN_NAG_GLYPHS = ["", "!", "?", "!!", "??", "!?", "?!"];
+
+// Seven Tag Roster, always written first and in this order
+const PGN_ROSTER_DEFAULTS = {
+  Event: "?",
+  Site: "?",
+  Date: "????.??.??",
+  Round: "?",
+  White: "?",
+  Black: "?",
+  Result: "*",
+};
+
+const PGN_RESULTS = ["1-0", "0-1", "1/2-1/2", "*"];
+
+const PGN_LINE_LENGTH = 80;
+
+const PGN_TOKEN_PATTERN = new RegExp(
+  [
+    /\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]/, // 1, 2: tag pair
+    /\{([^}]*)\}/, // 3: brace comment
+    /;([^\n]*)/, // 4: rest-of-line comment
+    /\$(\d+)/, // 5: numeric annotation glyph
+    /([()])/, // 6: variation start/end
+    /(1-0|0-1|1\/2-1\/2|\*)(?![\w-])/, // 7: game termination
+    /(\d+)\s*\.+/, // 8: move number indication
+    /(!!|\?\?|!\?|\?!|!|\?)/, // 9: suffix annotation
+    /([A-Za-z0-9][A-Za-z0-9=+#-]*)/, // 10: SAN move
+  ]
+    .map((pattern) => pattern.source)
+    .join("|"),
+  "g"
+);
+
+class ChessPGN {
+  static RESULTS = PGN_RESULTS;
+
+  static createNode(san = null) {
+    return {
+      san,
+      nags: [],
+      comment: null,
+      startingComment: null,
+      children: [],
+    };
+  }
+
+  // Parse every game in a PGN document (a single game or a whole database)
+  static parse(text) {
+    // Lines starting with "%" are escaped and must be ignored
+    const source = text.replace(/^%.*$/gm, "");
+
+    const games = [];
+    const parents = new Map();
+    let game = null;
+    let node = null;
+    let variationStack = [];
+    let atVariationStart = false;
+    let pendingComment = null;
+    let pendingNags = [];
+    let hasMoves = false;
+
+    const startGame = () => {
+      game = { headers: {}, root: ChessPGN.createNode(), result: "*" };
+      node = game.root;
+      variationStack = [];
+      atVariationStart = false;
+      pendingComment = null;
+      pendingNags = [];
+      hasMoves = false;
+    };
+
+    const endGame = () => {
+      if (variationStack.length > 0) {
+        throw new Error("Unterminated variation in PGN movetext");
+      }
+      if (game) games.push(game);
+      game = null;
+    };
+
+    const addComment = (comment) => {
+      const text = comment.trim();
+      if (!text) return;
+
+      if (atVariationStart) {
+        // Comments before the first move of a variation belong to that move
+        pendingComment = ChessPGN.joinComments(pendingComment, text);
+      } else {
+        node.comment = ChessPGN.joinComments(node.comment, text);
+      }
+    };
+
+    PGN_TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = PGN_TOKEN_PATTERN.exec(source)) !== null) {
+      const [
+        ,
+        tagName,
+        tagValue,
+        braceComment,
+        lineComment,
+        nag,
+        paren,
+        result,
+        ,
+        glyph,
+        san,
+      ] = match;
+
+      if (tagName !== undefined) {
+        // Tags after movetext without a result start the next game
+        if (!game || hasMoves) {
+          endGame();
+          startGame();
+        }
+        game.headers[tagName] = tagValue.replace(/\\(["\\])/g, "$1");
+        continue;
+      }
+
+      if (!game) startGame();
+
+      if (braceComment !== undefined || lineComment !== undefined) {
+        addComment(braceComment !== undefined ? braceComment : lineComment);
+      } else if (nag !== undefined || glyph !== undefined) {
+        const value =
+          nag !== undefined ? parseInt(nag, 10) : PGN_GLYPH_NAGS[glyph];
+        if (atVariationStart) {
+          // Like comments, NAGs before a variation's first move belong to it
+          pendingNags.push(value);
+        } else if (node !== game.root) {
+          node.nags.push(value);
+        }
+      } else if (paren === "(") {
+        if (node === game.root) {
+          throw new Error("PGN variation has no move to branch from");
+        }
+        // A variation replaces the move just played
+        variationStack.push(node);
+        node = parents.get(node);
+        atVariationStart = true;
+      } else if (paren === ")") {
+        if (variationStack.length === 0) {
+          throw new Error("Unbalanced ')' in PGN movetext");
+        }
+        node = variationStack.pop();
+        atVariationStart = false;
+        pendingComment = null;
+        pendingNags = [];
+      } else if (result !== undefined) {
+        game.result = result;
+        endGame();
+      } else if (san !== undefined) {
+        const child = ChessPGN.createNode(san);
+        child.startingComment = pendingComment;
+        child.nags.push(...pendingNags);
+        pendingComment = null;
+        pendingNags = [];
+        atVariationStart = false;
+
+        parents.set(child, node);
+        node.children.push(child);
+        node = child;
+        hasMoves = true;
+      }
+    }
+
+    endGame();
+
+    for (const parsed of games) {
+      if (PGN_RESULTS.includes(parsed.headers.Result) && parsed.result === "*") {
+        parsed.result = parsed.headers.Result;
+      }
+    }
+
+    return games;
+  }
+
+  static joinComments(existing, text) {
+    return existing ? `${existing} ${text}` : text;
+  }
+
+  // Write a game as export-format PGN. startFen (or the FEN tag) sets the
+  // move numbers for games that do not start from move one; useGlyphs: false
+  // writes move-quality NAGs as $n instead of !, ?, !?, ...
+  static stringify(game, options = {}) {
+    const result = game.result || "*";
+    const headers = { ...PGN_ROSTER_DEFAULTS, ...game.headers, Result: result };
+
+    const lines = [];
+    const rosterNames = Object.keys(PGN_ROSTER_DEFAULTS);
+    const tagNames = [
+      ...rosterNames,
+      ...Object.keys(headers).filter((name) => !rosterNames.includes(name)),
+    ];
+    for (const name of tagNames) {
+      const value = String(headers[name]).replace(/[\\"]/g, "\\$&");
+      lines.push(`[${name} "${value}"]`);
+    }
+    lines.push("");
+
+    const startFen = options.startFen || headers.FEN;
+    const tokens = ChessPGN.movetextTokens(
+      game.root,
+      ChessPGN.startPly(startFen),
+      options
+    );
+    tokens.push(result);
+
+    lines.push(...ChessPGN.wrapTokens(tokens, PGN_LINE_LENGTH));
+    return `${lines.join("\n")}\n`;
+  }
+
+  // Plies played before the game starts, from the FEN fullmove number and side
+  static startPly(fen) {
+    if (!fen) return 0;
+
+    const [, side = "w", , , , fullmove = "1"] = fen.trim().split(/\s+/);
+    const moveNumber = Math.max(1, parseInt(fullmove, 10) || 1);
+    return (moveNumber - 1) * 2 + (side === "b" ? 1 : 0);
+  }
+
+  static movetextTokens(root, startPly, options = {}) {
+    const tokens = [];
+    if (root.comment) tokens.push(ChessPGN.formatComment(root.comment));
+
+    const writeMove = (node, ply, forceNumber) => {
+      if (node.startingComment) {
+        tokens.push(ChessPGN.formatComment(node.startingComment));
+        forceNumber = true;
+      }
+
+      const moveNumber = Math.floor(ply / 2) + 1;
+      if (ply % 2 === 0) {
+        tokens.push(`${moveNumber}.`);
+      } else if (forceNumber) {
+        tokens.push(`${moveNumber}...`);
+      }
+
+      let san = node.san;
+      const nags = [...(node.nags || [])];
+      // A single move-quality NAG reads best as a suffix glyph
+      const glyphIndex = nags.findIndex((nag) => nag >= 1 && nag <= 6);
+      if (glyphIndex !== -1 && options.useGlyphs !== false) {
+        san += PGN_NAG_GLYPHS[nags[glyphIndex]];
+        nags.splice(glyphIndex, 1);
+      }
+      tokens.push(san);
+      nags.forEach((nag) => tokens.push(`$${nag}`));
+
+      if (node.comment) {
+        tokens.push(ChessPGN.formatComment(node.comment));
+        return true;
+      }
+      return false;
+    };
+
+    // Write the line continuing from `parent`, with sidelines after each move
+    const writeLine = (parent, ply, forceNumber) => {
+      let node = parent;
+      let needNumber = forceNumber;
+
+      while (node.children.length > 0) {
+        const [mainMove, ...alternatives] = node.children;
+        needNumber = writeMove(mainMove, ply, needNumber);
+
+        for (const alternative of alternatives) {
+          tokens.push("(");
+          writeMove(alternative, ply, true);
+          writeLine(alternative, ply + 1, Boolean(alternative.comment));
+          tokens.push(")");
+          needNumber = true;
+        }
+
+        node = mainMove;
+        ply++;
+      }
+    };
+
+    writeLine(root, startPly, true);
+    return tokens;
+  }
+
+  static formatComment(comment) {
+    // Braces cannot be escaped inside PGN comments
+    return `{${String(comment).replace(/[{}]/g, "")}}`;
+  }
+
+  static wrapTokens(tokens, lineLength) {
+    const lines = [];
+    let line = "";
+
+    for (const token of tokens) {
+      const separator = line && !line.endsWith("(") && token !== ")" ? " " : "";
+      if (line && line.length + separator.length + token.length > lineLength) {
+        lines.push(line);
+        line = token;
+      } else {
+        line += separator + token;
+      }
+    }
+
+    if (line) lines.push(line);
+    return lines;
+  }
+}
+
+// Global instance
+globalThis.ChessPGN = ChessPGN;
+if (typeof module === "object" && module.exports) {
+  module.exports = ChessPGN;
+  module.exports.ChessPGN = ChessPGN;
+}